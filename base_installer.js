@@ -5,6 +5,7 @@
 'use strict';
 import {html, render} from 'https://cdn.jsdelivr.net/npm/lit-html/+esm';
 import {asyncAppend} from 'https://cdn.jsdelivr.net/npm/lit-html/directives/async-append/+esm';
+import {unsafeHTML} from 'https://cdn.jsdelivr.net/npm/lit-html/directives/unsafe-html/+esm';
 //import { ESPLoader, Transport } from "https://unpkg.com/esptool-js@0.5.6/bundle.js";
 import { ESPLoader, Transport, HardReset } from "./bundle.js"; // Latest esptool-js as of 2026-03-17
 export const ESP_ROM_BAUD = 115200;
@@ -59,13 +60,686 @@ export function isKnownNonRomDevice(info) {
     return false;
 }
 
-export class NotRomBootloaderError extends Error {
-    constructor(message) {
+// Fixed-size ring buffer of timestamped log entries. Everything the
+// installer logs (info, warnings, errors and the raw esptool-js terminal
+// output) lands here so users can bring it up in the Show Log dialog and
+// hand it to support without having to open the browser devtools.
+export class InstallLog {
+    constructor(maxEntries = 2000) {
+        this.maxEntries = maxEntries;
+        this.entries = [];
+    }
+
+    add(level, text) {
+        const entry = {time: new Date(), level: level, text: String(text)};
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        return entry;
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    formatEntry(entry) {
+        return `${entry.time.toISOString()} [${entry.level.toUpperCase()}] ${entry.text}`;
+    }
+
+    toText() {
+        return this.entries.map((entry) => this.formatEntry(entry)).join("\n");
+    }
+}
+
+// Hex encoded SHA-256 of a Blob, using WebCrypto
+export async function sha256Hex(blob) {
+    const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (value) => value.toString(16).padStart(2, "0")).join("");
+}
+
+// Per-round shift amounts and sine-derived constants for MD5 (RFC 1321)
+const MD5_SHIFTS = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21,
+];
+const MD5_CONSTANTS = Array.from({length: 64}, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0);
+
+// Hex encoded MD5 of a Uint8Array. WebCrypto doesn't do MD5, but it's what
+// esptool-js needs to verify flash writes by reading the flash back, so we
+// carry our own rather than depend on the host page loading a library.
+export function md5Hex(data) {
+    // Pad to a multiple of 64 bytes: a 0x80 byte, zeros, then the bit length
+    const paddedLength = (((data.length + 8) >> 6) + 1) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(data);
+    padded[data.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, (data.length * 8) >>> 0, true);
+    view.setUint32(paddedLength - 4, Math.floor(data.length / 0x20000000), true);
+
+    let a0 = 0x67452301, b0 = 0xefcdab89, c0 = 0x98badcfe, d0 = 0x10325476;
+    const words = new Uint32Array(16);
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            words[i] = view.getUint32(offset + i * 4, true);
+        }
+        let a = a0, b = b0, c = c0, d = d0;
+        for (let i = 0; i < 64; i++) {
+            let f, g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+            f = (f + a + MD5_CONSTANTS[i] + words[g]) >>> 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((f << MD5_SHIFTS[i]) | (f >>> (32 - MD5_SHIFTS[i])))) >>> 0;
+        }
+        a0 = (a0 + a) >>> 0;
+        b0 = (b0 + b) >>> 0;
+        c0 = (c0 + c) >>> 0;
+        d0 = (d0 + d) >>> 0;
+    }
+
+    const digest = new DataView(new ArrayBuffer(16));
+    [a0, b0, c0, d0].forEach((value, i) => digest.setUint32(i * 4, value, true));
+    return Array.from(new Uint8Array(digest.buffer), (value) => value.toString(16).padStart(2, "0")).join("");
+}
+
+// Persistent cache of downloaded firmware files, keyed by URL. Blobs are
+// kept in IndexedDB next to a small metadata record (size, SHA-256, the
+// server's ETag and Last-Modified, and when the entry was added and last
+// used), so flashing a whole classroom of boards only downloads each file
+// once, even across page reloads. Once the total size goes over maxBytes,
+// the least recently used entries are evicted. If IndexedDB isn't
+// available (e.g. some private browsing modes) this falls back to caching
+// in memory for the life of the page.
+export class FirmwareCache {
+    constructor(dbName, maxBytes, maxAge) {
+        this.dbName = dbName;
+        this.maxBytes = maxBytes;
+        // How long an entry with nothing to revalidate it by is used for
+        this.maxAge = maxAge;
+        this.memoryCache = new Map();
+        this._db = null;
+    }
+
+    async _openDb() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                if (typeof indexedDB === "undefined") {
+                    reject(new Error("IndexedDB not available"));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore("entries", {keyPath: "url"});
+                    request.result.createObjectStore("blobs");
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch((err) => {
+                console.warn("Persistent firmware cache unavailable, caching in memory:", err);
+                return null;
+            });
+        }
+        return await this._db;
+    }
+
+    _await(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    _complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // The ETag and Last-Modified headers of a response, for put()
+    static validators(response) {
+        return {
+            etag: response.headers.get("ETag"),
+            lastModified: response.headers.get("Last-Modified"),
+        };
+    }
+
+    // Returns the cached blob for url, or null. If sha256 is given, an
+    // entry whose contents don't match it is treated as a miss. Without
+    // one, a file republished at the same URL can only be told apart by
+    // asking the server, so the entry is revalidated first.
+    async get(url, sha256 = null) {
+        const db = await this._openDb();
+        let entry, blob;
+        if (db) {
+            const transaction = db.transaction(["entries", "blobs"], "readwrite");
+            entry = await this._await(transaction.objectStore("entries").get(url));
+            if (entry) {
+                blob = await this._await(transaction.objectStore("blobs").get(url));
+                entry.lastUsed = Date.now();
+                transaction.objectStore("entries").put(entry);
+            }
+        } else if (this.memoryCache.has(url)) {
+            ({entry, blob} = this.memoryCache.get(url));
+            entry.lastUsed = Date.now();
+        }
+
+        if (!entry || !blob) {
+            return null;
+        }
+        if (sha256 ? entry.sha256 !== sha256.toLowerCase() : !await this._isCurrent(entry)) {
+            await this.remove(url);
+            return null;
+        }
+        return blob;
+    }
+
+    // Compare the entry with a HEAD request, which unlike a conditional GET
+    // needs no CORS preflight. Falls back to the entry's age if the server
+    // can't be reached or doesn't send a validator the entry has.
+    async _isCurrent(entry) {
+        try {
+            const response = await fetch(entry.url, {method: "HEAD", cache: "no-store"});
+            if (response.ok) {
+                const current = FirmwareCache.validators(response);
+                if (entry.etag && current.etag) {
+                    return entry.etag === current.etag;
+                }
+                if (entry.lastModified && current.lastModified) {
+                    return entry.lastModified === current.lastModified;
+                }
+            }
+        } catch (err) {
+            console.warn(`Unable to revalidate the cached copy of ${entry.url}:`, err);
+        }
+        return !!entry.added && Date.now() - entry.added < this.maxAge;
+    }
+
+    async put(url, blob, validators = {}) {
+        if (blob.size > this.maxBytes) {
+            return;
+        }
+        const entry = {
+            url: url,
+            size: blob.size,
+            sha256: await sha256Hex(blob),
+            etag: validators.etag || null,
+            lastModified: validators.lastModified || null,
+            added: Date.now(),
+            lastUsed: Date.now(),
+        };
+        const db = await this._openDb();
+        if (db) {
+            const transaction = db.transaction(["entries", "blobs"], "readwrite");
+            transaction.objectStore("entries").put(entry);
+            transaction.objectStore("blobs").put(blob, url);
+            await this._complete(transaction);
+        } else {
+            this.memoryCache.set(url, {entry, blob});
+        }
+        await this._evict();
+    }
+
+    async remove(url) {
+        const db = await this._openDb();
+        if (db) {
+            const transaction = db.transaction(["entries", "blobs"], "readwrite");
+            transaction.objectStore("entries").delete(url);
+            transaction.objectStore("blobs").delete(url);
+            await this._complete(transaction);
+        } else {
+            this.memoryCache.delete(url);
+        }
+    }
+
+    async clear() {
+        const db = await this._openDb();
+        if (db) {
+            const transaction = db.transaction(["entries", "blobs"], "readwrite");
+            transaction.objectStore("entries").clear();
+            transaction.objectStore("blobs").clear();
+            await this._complete(transaction);
+        }
+        this.memoryCache.clear();
+    }
+
+    async entries() {
+        const db = await this._openDb();
+        if (db) {
+            return await this._await(db.transaction("entries").objectStore("entries").getAll());
+        }
+        return Array.from(this.memoryCache.values(), (item) => item.entry);
+    }
+
+    async _evict() {
+        const entries = await this.entries();
+        let totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+        entries.sort((a, b) => a.lastUsed - b.lastUsed);
+        for (const entry of entries) {
+            if (totalSize <= this.maxBytes) {
+                break;
+            }
+            await this.remove(entry.url);
+            totalSize -= entry.size;
+        }
+    }
+}
+
+// ESP-IDF partition table, see
+// https://docs.espressif.com/projects/esp-idf/en/latest/esp32/api-guides/partition-tables.html
+export const PARTITION_TABLE_OFFSET = 0x8000;
+const PARTITION_TABLE_SIZE = 0xC00;
+// esptool-js grows one buffer for each readFlash() call, which gets slow for
+// large reads, so full flash backups are read this much at a time
+const FLASH_READ_CHUNK_SIZE = 256 * 1024;
+const PARTITION_MAGIC = 0x50AA;
+const PARTITION_MD5_MAGIC = 0xEBEB;
+const PARTITION_TYPE_APP = 0x00;
+const PARTITION_TYPE_DATA = 0x01;
+const PARTITION_DATA_SUBTYPES = {
+    0x00: "ota",
+    0x01: "phy",
+    0x02: "nvs",
+    0x03: "coredump",
+    0x04: "nvs_keys",
+    0x05: "efuse",
+    0x80: "esphttpd",
+    0x81: "fat",
+    0x82: "spiffs",
+    0x83: "littlefs",
+};
+
+// Parse the binary partition table into [{label, type, subtype, offset, size}]
+// where type and subtype are the names used in partitions.csv. Entries are
+// 32 bytes each and the table ends at an MD5 entry or erased (0xFF) flash.
+export function parsePartitionTable(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const partitions = [];
+    for (let entryOffset = 0; entryOffset + 32 <= data.byteLength; entryOffset += 32) {
+        const magic = view.getUint16(entryOffset, true);
+        if (magic == PARTITION_MD5_MAGIC || magic == 0xFFFF) {
+            break;
+        }
+        if (magic != PARTITION_MAGIC) {
+            throw new Error(`Invalid partition table entry at 0x${(PARTITION_TABLE_OFFSET + entryOffset).toString(16)}`);
+        }
+        const type = view.getUint8(entryOffset + 2);
+        const subtype = view.getUint8(entryOffset + 3);
+        let typeName = `0x${type.toString(16)}`;
+        let subtypeName = `0x${subtype.toString(16)}`;
+        if (type == PARTITION_TYPE_APP) {
+            typeName = "app";
+            if (subtype == 0x00) {
+                subtypeName = "factory";
+            } else if (subtype >= 0x10 && subtype < 0x20) {
+                subtypeName = `ota_${subtype - 0x10}`;
+            } else if (subtype == 0x20) {
+                subtypeName = "test";
+            }
+        } else if (type == PARTITION_TYPE_DATA) {
+            typeName = "data";
+            subtypeName = PARTITION_DATA_SUBTYPES[subtype] || subtypeName;
+        }
+        const labelBytes = data.subarray(entryOffset + 12, entryOffset + 28);
+        const labelEnd = labelBytes.indexOf(0);
+        partitions.push({
+            label: new TextDecoder().decode(labelEnd == -1 ? labelBytes : labelBytes.subarray(0, labelEnd)),
+            type: typeName,
+            subtype: subtypeName,
+            offset: view.getUint32(entryOffset + 4, true),
+            size: view.getUint32(entryOffset + 8, true),
+        });
+    }
+    return partitions;
+}
+
+// Base for errors the installer raises itself. The code is a short stable
+// identifier (e.g. "integrity-mismatch") that is also sent to the page with
+// the install-error event.
+export class InstallError extends Error {
+    constructor(message, code = "install-failed") {
         super(message);
+        this.name = "InstallError";
+        this.code = code;
+    }
+}
+
+// Thrown when a downloaded or extracted file doesn't match the size or
+// SHA-256 that the board catalog says it should have
+export class IntegrityError extends InstallError {
+    constructor(message) {
+        super(message, "integrity-mismatch");
+        this.name = "IntegrityError";
+    }
+}
+
+// Thrown when the flash read back after writing doesn't match what was
+// written, i.e. the data got corrupted somewhere on the way to the chip
+export class FlashVerificationError extends InstallError {
+    constructor(message) {
+        super(message, "flash-verification-failed");
+        this.name = "FlashVerificationError";
+    }
+}
+
+export class NotRomBootloaderError extends InstallError {
+    constructor(message) {
+        super(message, "not-rom-bootloader");
         this.name = "NotRomBootloaderError";
     }
 }
 
+// A named group of steps that always run together and in that order, e.g.
+// picking the bootloader drive and then copying the UF2 onto it. A group can
+// be jumped to or skipped by name like a single step.
+export function stepGroup(name, ...steps) {
+    return Object.freeze({group: name, steps: Object.freeze(steps)});
+}
+
+// A single run through a flow. The flow definitions in `flows` are never
+// changed; each run gets its own list of steps, so a handler that changes
+// the rest of a run (like falling back to a manual install) doesn't affect
+// the next one.
+export class FlowRun {
+    constructor(id, flow, parent = null) {
+        this.id = id;
+        this.flow = flow;
+        // The run this one was started from, which Previous returns to
+        this.parent = parent;
+        this.steps = FlowRun.resolveSteps(flow.steps);
+        this.index = 0;
+        this.startIndex = 0;
+        // "running", "complete", "cancelled" or (headless only) "failed"
+        this.status = "running";
+        // Set by the installer once it has connected to the device
+        this.deviceInfo = null;
+        // Names of the steps nextStep() has moved on from. Steps done in an
+        // earlier run that this one resumes are skipped by nextStep().
+        this.completed = new Set();
+    }
+
+    // Flows list step methods, names of step methods or groups of either.
+    // Each step is resolved to {name, step, group}; the name of a method is
+    // its function name.
+    static resolveSteps(steps, group = null) {
+        let resolved = [];
+        for (const step of steps) {
+            if (step && step.group) {
+                resolved = resolved.concat(FlowRun.resolveSteps(step.steps, step.group));
+            } else if (typeof step == "string" || typeof step == "function") {
+                resolved.push({name: typeof step == "string" ? step : step.name, step: step, group: group});
+            } else {
+                throw new Error(`Invalid step ${step}${group ? ` in group ${group}` : ""}`);
+            }
+        }
+        return resolved;
+    }
+
+    get current() {
+        return this.steps[this.index];
+    }
+
+    // Index of the named step, or of the first step of the named group
+    indexOf(name) {
+        return this.steps.findIndex((step) => step.name == name || step.group == name);
+    }
+
+    has(name) {
+        return this.indexOf(name) != -1;
+    }
+
+    hasNext() {
+        return this.index < this.steps.length - 1;
+    }
+
+    hasPrevious() {
+        return this.index > this.startIndex || !!this.parent;
+    }
+
+    // Swap everything after the current step for a different list of steps
+    replaceRemaining(steps) {
+        this.steps = this.steps.slice(0, this.index + 1).concat(FlowRun.resolveSteps(steps));
+    }
+}
+
+// Message catalogs, keyed by lowercase language tag ("en", "es", "pt-br").
+// English is the default and is used for any message a catalog is missing.
+const locales = {};
+export const DEFAULT_LANGUAGE = "en";
+// Progress is read out to screen readers every this many percent
+const PROGRESS_ANNOUNCE_INTERVAL = 25;
+
+// Add messages for a language, or override some of the existing ones. The
+// installer modules register their English text this way, and host pages
+// can do the same for other languages.
+export function registerLocale(lang, messages) {
+    const key = lang.toLowerCase();
+    locales[key] = {...locales[key], ...messages};
+}
+
+// Fill in {name} placeholders from params, leaving unknown ones alone
+export function formatMessage(text, params = {}) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match);
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+registerLocale(DEFAULT_LANGUAGE, {
+    "button.previous": "Previous",
+    "button.next": "Next",
+    "button.close": "Close",
+    "button.showLog": "Show Log",
+    "button.copyLog": "Copy to Clipboard",
+    "button.downloadLog": "Download Log",
+    "connection.connect": "Connect",
+    "connection.connecting": "Connecting...",
+    "connection.disconnect": "Disconnect",
+    "notSupported.message": "Sorry, <b>Web Serial</b> is not supported on your browser at this time. Browsers we expect to work:",
+    "notSupported.chrome": "Google Chrome 89 (and higher)",
+    "notSupported.edge": "Microsoft Edge 89 (and higher)",
+    "notSupported.opera": "Opera 75 (and higher)",
+    "a11y.dialog": "Firmware Installer",
+    "a11y.close": "Close",
+    "a11y.step": "Step {step} of {count}.",
+    "a11y.progress": "Progress",
+    "a11y.percentComplete": "{percentage}% complete",
+    "resume.title": "Resume Install?",
+    "resume.intro": "You were partway through \"{flow}\" when the installer was closed.",
+    "resume.skipped": "Resuming picks up where you left off. Steps that are already done, such as erasing or flashing the board, won't be run again.",
+    "resume.unavailable": "The install you were partway through can't be resumed here. Please start it again from the menu.",
+    "resume.startOver": "Start Over",
+    "resume.resume": "Resume",
+    "menu.title": "Installer Menu",
+    "menu.showLog": "Show Log",
+    "menu.noOptions": "No installable options available for this board.",
+    "log.title": "Installer Log",
+    "log.intro": "If you are asking for help with an install problem, please include this log.",
+    "log.copied": "Log copied to the clipboard.",
+    "log.copyFailed": "Unable to copy to the clipboard. Try downloading the log instead.",
+    "error.notRomBootloader": "Oops, it looks like the board is not in ROM Bootloader mode.\n\n" +
+        "To get there: hold the BOOT button, tap RESET, then release BOOT. " +
+        "Then click OK to try again and pick the port named something like " +
+        "\"USB JTAG/serial debug unit\", or a USB-serial bridge (CP210x, CH340, FTDI).",
+    "error.flashSizeUnknown": "Unable to tell how much flash this board has, so a full backup can't be made.",
+});
+
+// Built-in dialog styles, scoped to the dialogs' shadow root. Pages theme the
+// dialogs through the --installer-* custom properties, which inherit into the
+// shadow root, and the ::part() names; the --_* properties are the defaults.
+export const DIALOG_STYLES = `
+    :host {
+        --_background: #ffffff;
+        --_color: #222222;
+        --_muted-color: #666666;
+        --_surface: #f3f3f3;
+        --_border-color: #cccccc;
+        --_accent-color: #2f6fd0;
+        --_accent-text-color: #ffffff;
+    }
+    :host([data-theme="dark"]) {
+        --_background: #1e1e1e;
+        --_color: #e8e8e8;
+        --_muted-color: #a0a0a0;
+        --_surface: #2b2b2b;
+        --_border-color: #444444;
+        --_accent-color: #6ea1ff;
+        --_accent-text-color: #111111;
+    }
+    @media (prefers-color-scheme: dark) {
+        :host(:not([data-theme="light"])) {
+            --_background: #1e1e1e;
+            --_color: #e8e8e8;
+            --_muted-color: #a0a0a0;
+            --_surface: #2b2b2b;
+            --_border-color: #444444;
+            --_accent-color: #6ea1ff;
+            --_accent-text-color: #111111;
+        }
+    }
+    dialog {
+        box-sizing: border-box;
+        width: min(40em, 92vw);
+        max-height: 90vh;
+        overflow: auto;
+        padding: 1.5em;
+        border: 1px solid var(--installer-border-color, var(--_border-color));
+        border-radius: var(--installer-border-radius, 8px);
+        background: var(--installer-background, var(--_background));
+        color: var(--installer-color, var(--_color));
+        font-family: var(--installer-font-family, system-ui, sans-serif);
+        font-size: var(--installer-font-size, 1rem);
+        line-height: 1.4;
+    }
+    dialog::backdrop {
+        background: var(--installer-backdrop, rgba(0, 0, 0, 0.5));
+    }
+    h3 {
+        margin: 0 1.5em 0.75em 0;
+    }
+    a {
+        color: var(--installer-accent-color, var(--_accent-color));
+    }
+    pre, code {
+        font-family: var(--installer-monospace-font-family, ui-monospace, monospace);
+    }
+    pre {
+        padding: 0.75em;
+        overflow: auto;
+        background: var(--installer-surface, var(--_surface));
+        border-radius: 4px;
+    }
+    small {
+        color: var(--installer-muted-color, var(--_muted-color));
+    }
+    input, select, textarea {
+        font: inherit;
+        color: inherit;
+        background: var(--installer-surface, var(--_surface));
+        border: 1px solid var(--installer-border-color, var(--_border-color));
+        border-radius: 4px;
+    }
+    fieldset {
+        border: 1px solid var(--installer-border-color, var(--_border-color));
+        border-radius: 4px;
+    }
+    progress {
+        width: 100%;
+        accent-color: var(--installer-accent-color, var(--_accent-color));
+    }
+    .close-button {
+        position: absolute;
+        top: 0.5em;
+        right: 0.5em;
+        width: 2em;
+        height: 2em;
+        padding: 0;
+        font: inherit;
+        font-size: 1.25em;
+        line-height: 1;
+        color: var(--installer-muted-color, var(--_muted-color));
+        background: none;
+        border: none;
+        cursor: pointer;
+    }
+    .close-button::before {
+        content: "\\00d7";
+    }
+    .dialog-navigation {
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: flex-end;
+        gap: 0.5em;
+        margin-top: 1em;
+    }
+    .dialog-navigation:empty {
+        display: none;
+    }
+    .dialog-navigation button {
+        font: inherit;
+        padding: 0.5em 1em;
+        color: var(--installer-accent-text-color, var(--_accent-text-color));
+        background: var(--installer-accent-color, var(--_accent-color));
+        border: 1px solid var(--installer-accent-color, var(--_accent-color));
+        border-radius: var(--installer-border-radius, 8px);
+        cursor: pointer;
+    }
+    .dialog-navigation button:disabled {
+        opacity: 0.5;
+        cursor: default;
+    }
+    .flow-menu, .menu-actions {
+        padding-left: 1.25em;
+    }
+    .flow-menu li, .menu-actions li {
+        margin: 0.25em 0;
+    }
+    .install-log {
+        max-height: 20em;
+        white-space: pre-wrap;
+    }
+    .message {
+        white-space: pre-line;
+    }
+    .centered {
+        text-align: center;
+    }
+    .visually-hidden {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip-path: inset(50%);
+        white-space: nowrap;
+    }
+    :focus-visible {
+        outline: 2px solid var(--installer-accent-color, var(--_accent-color));
+        outline-offset: 2px;
+    }
+    dialog:focus-visible {
+        outline: none;
+    }
+`;
+
 export class InstallButton extends HTMLButtonElement {
     static isSupported = 'serial' in navigator;
     static isAllowed = window.isSecureContext;
@@ -74,16 +748,24 @@ export class InstallButton extends HTMLButtonElement {
         super();
         this.baudRate = ESP_ROM_BAUD;
         this.dialogElements = {};
-        this.currentFlow = null;
-        this.currentStep = 0;
+        this.currentFlow = null;     // The FlowRun in progress
+        this.headless = false;       // Set while runHeadless() is running
         this.currentDialogElement = null;
+        this.dialogRoot = null;      // Shadow root holding the dialogs, see getDialogRoot()
+        this.stepAnnouncement = null;
+        this.announcedProgress = 0;  // Last progress milestone read out, see updateProgress()
         this.device = null;
         this.transport = null;
         this.esploader = null;
         this.chip = null;
+        this.deviceInfo = null;
         this.dialogCssClass = "install-dialog";
         this.connected = this.connectionStates.DISCONNECTED;
-        this.menuTitle = "Installer Menu";
+        this.menuTitle = "menu.title";
+        this.log = new InstallLog();
+        // esptool-js calls write() for partial lines (e.g. progress dots),
+        // so hold those until the terminal adapter sees a newline.
+        this._terminalLine = "";
     }
 
     init() {
@@ -100,32 +782,57 @@ export class InstallButton extends HTMLButtonElement {
     // Define some common buttons
     /* Buttons should have a label, and a callback and optionally a condition function on whether they should be enabled */
     previousButton = {
-        label: "Previous",
+        label: "button.previous",
         onClick: this.prevStep,
-        isEnabled: async () => { return this.currentStep > 0 },
+        isEnabled: async () => { return this.hasPreviousStep() },
     }
 
     nextButton = {
-        label: "Next",
+        label: "button.next",
         onClick: this.nextStep,
-        isEnabled: async () => { return this.currentStep < this.currentFlow.steps.length - 1; },
+        isEnabled: async () => { return this.hasNextStep() },
     }
 
     closeButton = {
-        label: "Close",
+        label: "button.close",
         onClick: async (e) => {
+            this.cancelFlow();
             this.closeDialog();
         },
     }
 
+    showLogButton = {
+        label: "button.showLog",
+        onClick: async (e) => {
+            await this.showLog();
+        },
+    }
+
+    copyLogButton = {
+        label: "button.copyLog",
+        onClick: async (e) => {
+            await this.copyLogToClipboard();
+        },
+    }
+
+    downloadLogButton = {
+        label: "button.downloadLog",
+        onClick: async (e) => {
+            this.downloadLog();
+        },
+    }
+
     // Default Buttons
     defaultButtons = [this.previousButton, this.nextButton];
 
-    // States and Button Labels
+    // Subclasses append their own rules, e.g. dialogStyles = this.dialogStyles + `...`
+    dialogStyles = DIALOG_STYLES;
+
+    // States, which double as the message keys for the Connect button label
     connectionStates = {
-        DISCONNECTED: "Connect",
-        CONNECTING: "Connecting...",
-        CONNECTED: "Disconnect",
+        DISCONNECTED: "connection.connect",
+        CONNECTING: "connection.connecting",
+        CONNECTED: "connection.disconnect",
     }
 
     dialogs = {
@@ -133,11 +840,11 @@ export class InstallButton extends HTMLButtonElement {
             preload: false,
             closeable: true,
             template: (data) => html`
-                Sorry, <b>Web Serial</b> is not supported on your browser at this time. Browsers we expect to work:
+                ${this.tHtml("notSupported.message")}
                 <ul>
-                <li>Google Chrome 89 (and higher)</li>
-                <li>Microsoft Edge 89 (and higher)</li>
-                <li>Opera 75 (and higher)</li>
+                <li>${this.t("notSupported.chrome")}</li>
+                <li>${this.t("notSupported.edge")}</li>
+                <li>${this.t("notSupported.opera")}</li>
                 </ul>
             `,
             buttons: [this.closeButton],
@@ -145,18 +852,76 @@ export class InstallButton extends HTMLButtonElement {
         menu: {
             closeable: true,
             template: (data) => html`
-                <p>${this.menuTitle}</p>
+                <p>${this.t(this.menuTitle, {board: this.boardName})}</p>
+                ${this.menuOptionsTemplate()}
                 <ul class="flow-menu">
                 ${asyncAppend(this.generateMenu(
-                    (flowId, flow) => html`<li><a href="#" @click=${this.runFlow.bind(this)} id="${flowId}">${flow.label.replace('[version]', this.releaseVersion)}</a></li>`
+                    (flowId, flow) => html`<li><a href="#" @click=${this.runFlow.bind(this)} id="${flowId}">${this.flowLabel(flow)}</a></li>`
                 ))}
-                </ul>`,
+                </ul>
+                <ul class="menu-actions">
+                ${this.menuActions.map(
+                    (action) => html`<li><a href="#" @click=${(e) => { e.preventDefault(); action.onClick.bind(this)(e); }}>${this.t(action.label)}</a></li>`
+                )}
+                </ul>
+                ${data.status ? html`<p class="menu-status">${data.status}</p>` : ''}`,
             buttons: [this.closeButton],
         },
+        log: {
+            closeable: true,
+            template: (data) => html`
+                <h3>${this.t("log.title")}</h3>
+                <p>${this.t("log.intro")}</p>
+                <pre class="install-log">${this.log.toText()}</pre>
+                ${data.status ? html`<p class="log-status">${data.status}</p>` : ''}
+            `,
+            buttons: [this.copyLogButton, this.downloadLogButton, this.closeButton],
+        },
+        resume: {
+            closeable: true,
+            template: (data) => html`
+                <h3>${this.t("resume.title")}</h3>
+                <p>${this.t("resume.intro", {flow: data.label})}</p>
+                ${data.summary ? html`<p>${data.summary}</p>` : ''}
+                <p>${this.t("resume.skipped")}</p>
+            `,
+            buttons: [{
+                label: "resume.startOver",
+                onClick: this.startOverHandler,
+            }, {
+                label: "resume.resume",
+                onClick: this.resumeHandler,
+            }],
+        },
     };
 
+    // Override to show extra options (e.g. a version picker) above the
+    // list of flows in the menu
+    menuOptionsTemplate() {
+        return '';
+    }
+
+    // Extra entries shown in the menu below the list of flows. Each one
+    // needs a label and an onClick callback (bound to the button).
+    menuActions = [
+        {
+            label: "menu.showLog",
+            onClick: async (e) => { await this.showLog(); },
+        },
+    ];
+
+    // Flow definitions, keyed by id: {label, steps, isEnabled}. Steps are
+    // run in order with runFlow(). See FlowRun and stepGroup for what steps
+    // can be. Flows that need something a page reload loses, like a file
+    // the user picked, set resumable: false.
     flows = {};
 
+    // Versions of steps for runHeadless(), keyed by step name. Each is passed
+    // the options given to runHeadless(), does its work without any dialogs,
+    // throws an InstallError if it fails and can return an object of values
+    // to add to the result.
+    headlessSteps = {};
+
     baudRates = [
         115200,
         128000,
@@ -180,6 +945,8 @@ export class InstallButton extends HTMLButtonElement {
             // WebSerial feature detection
             if (!InstallButton.isSupported) {
                 await this.showNotSupported();
+            } else if (this.loadResumeState()) {
+                await this.showResumePrompt();
             } else {
                 await this.buttonClickHandler(e);
             }
@@ -190,12 +957,15 @@ export class InstallButton extends HTMLButtonElement {
         await this.showMenu();
     }
 
-    // Parse out the url parameters from the current url
+    // Parse out the url parameters from the current url's hash, e.g.
+    // #board=adafruit_feather_esp32s3&version=9.2.1, decoding the values.
+    // Subclasses validate the values before using them.
     getUrlParams() {
-        // This should look for and validate very specific values
-        var hashParams = {};
+        const hashParams = {};
         if (location.hash) {
-            location.hash.substr(1).split("&").forEach(function(item) {hashParams[item.split("=")[0]] = item.split("=")[1];});
+            for (const [name, value] of new URLSearchParams(location.hash.substring(1))) {
+                hashParams[name] = value;
+            }
         }
         return hashParams;
     }
@@ -223,7 +993,7 @@ export class InstallButton extends HTMLButtonElement {
 
     async * generateMenu(templateFunc) {
         if (await this.enabledFlowCount() == 0) {
-            yield html`<li>No installable options available for this board.</li>`;
+            yield html`<li>${this.t("menu.noOptions")}</li>`;
         }
         for (const [flowId, flow] of Object.entries(this.flows)) {
             if (await flow.isEnabled()) {
@@ -245,33 +1015,85 @@ export class InstallButton extends HTMLButtonElement {
         return text.replace(/^[^a-z]+|[^\w:.-]+/gi, "");
     }
 
+    // Dialogs live in the shadow root of a host element in the page body, so
+    // page CSS and the dialog CSS don't leak into each other. A <button> can't
+    // have a shadow root of its own, which is why the host is a separate div.
+    getDialogRoot() {
+        if (!this.dialogRoot) {
+            const host = document.createElement("div");
+            host.classList.add(`${this.dialogCssClass}-host`);
+            this.dialogRoot = host.attachShadow({mode: "open"});
+            const style = document.createElement("style");
+            style.textContent = this.dialogStyles;
+            this.dialogRoot.appendChild(style);
+            document.body.appendChild(host);
+        }
+
+        return this.dialogRoot;
+    }
+
+    // The theme attribute picks "light" or "dark" dialogs. Anything else
+    // follows the operating system's color scheme.
+    applyTheme() {
+        const theme = this.getAttribute("theme");
+        const host = this.getDialogRoot().host;
+        if (theme == "light" || theme == "dark") {
+            host.dataset.theme = theme;
+        } else {
+            delete host.dataset.theme;
+        }
+    }
+
     createDialogElement(id, dialogData) {
+        const dialogRoot = this.getDialogRoot();
+
         // Check if an existing dialog with the same id exists and remove it if so
-        let existingDialog = this.querySelector(`#cp-installer-${id}`);
+        let existingDialog = dialogRoot.getElementById(id);
         if (existingDialog) {
-            this.remove(existingDialog);
+            existingDialog.remove();
         }
 
         // Create a dialog element
         let dialogElement = document.createElement("dialog");
         dialogElement.id = id;
         dialogElement.classList.add(this.dialogCssClass);
+        dialogElement.part.add("dialog");
 
         // Add a close button
         let closeButton = document.createElement("button");
         closeButton.href = "#";
         closeButton.classList.add("close-button");
+        closeButton.part.add("close-button");
         closeButton.addEventListener("click", (e) => {
             e.preventDefault();
+            this.cancelFlow();
             dialogElement.close();
         });
+        // Escape does the same as the close button, so it's ignored while
+        // the close button is hidden (e.g. while flashing or erasing)
+        dialogElement.addEventListener("cancel", (e) => {
+            if (closeButton.style.display == "none") {
+                e.preventDefault();
+                return;
+            }
+            this.cancelFlow();
+        });
         dialogElement.appendChild(closeButton);
 
         // Add a body element
         let body = document.createElement("div");
         body.classList.add("dialog-body");
+        body.part.add("body");
         dialogElement.appendChild(body);
 
+        // Screen readers are told about step changes and progress through
+        // this, see announce(). It's inside the dialog because everything
+        // outside a modal dialog is inert.
+        let status = document.createElement("div");
+        status.classList.add("dialog-status", "visually-hidden");
+        status.setAttribute("role", "status");
+        dialogElement.appendChild(status);
+
         let buttons = this.defaultButtons;
         if (dialogData && dialogData.buttons) {
             buttons = dialogData.buttons;
@@ -282,7 +1104,7 @@ export class InstallButton extends HTMLButtonElement {
         );
 
         // Return the dialog element
-        document.body.appendChild(dialogElement);
+        dialogRoot.appendChild(dialogElement);
         return dialogElement;
     }
 
@@ -290,22 +1112,31 @@ export class InstallButton extends HTMLButtonElement {
         // Add buttons according to config data
         const navigation = document.createElement("div");
         navigation.classList.add("dialog-navigation");
+        navigation.part.add("navigation");
 
         for (const button of buttonData) {
             let buttonElement = document.createElement("button");
-            buttonElement.innerText = button.label;
-            buttonElement.id = this.createIdFromLabel(button.label);
+            buttonElement.innerText = this.t(button.label);
+            // Ids come from the English text, as they did before labels were
+            // message keys, so pages styling or scripting them keep working
+            buttonElement.id = this.createIdFromLabel(locales[DEFAULT_LANGUAGE][button.label] || button.label);
+            buttonElement.part.add("buttons");
             buttonElement.addEventListener("click", async (e) => {
                 e.preventDefault();
                 await button.onClick.bind(this)();
             });
-            buttonElement.addEventListener("update", async (e) => {
-                if ("onUpdate" in button) {
-                    await button.onUpdate.bind(this)(e);
-                }
-                if ("isEnabled" in button) {
-                    e.target.disabled = !(await button.isEnabled.bind(this)());
-                }
+            buttonElement.addEventListener("update", (e) => {
+                // updateButtons() passes an array to collect the pending updates in
+                e.detail.push((async () => {
+                    // The language may have changed since the dialog was created
+                    buttonElement.innerText = this.t(button.label);
+                    if ("onUpdate" in button) {
+                        await button.onUpdate.bind(this)(e);
+                    }
+                    if ("isEnabled" in button) {
+                        buttonElement.disabled = !(await button.isEnabled.bind(this)());
+                    }
+                })());
             });
 
             navigation.appendChild(buttonElement);
@@ -331,17 +1162,23 @@ export class InstallButton extends HTMLButtonElement {
         return null;
     }
 
-    updateButtons() {
+    async updateButtons() {
         // Call each button's custom update event for the current dialog
         if (this.currentDialogElement) {
             const navButtons = this.currentDialogElement.querySelectorAll(".dialog-navigation button");
+            const updates = [];
             for (const button of navButtons) {
-                button.dispatchEvent(new Event("update"));
+                button.dispatchEvent(new CustomEvent("update", {detail: updates}));
             }
+            await Promise.all(updates);
         }
     }
 
     showDialog(dialog, templateData = {}) {
+        if (this.headless) {
+            return;
+        }
+
         if (this.currentDialogElement) {
             this.closeDialog();
         }
@@ -355,7 +1192,12 @@ export class InstallButton extends HTMLButtonElement {
             const dialogBody = this.currentDialogElement.querySelector(".dialog-body");
             if ('template' in dialog) {
                 render(dialog.template(templateData), dialogBody);
+                this.markDialogParts(dialogBody);
             }
+            this.applyTheme();
+            this.getDialogRoot().host.lang = this.getLanguage();
+
+            this.labelDialog(this.currentDialogElement);
 
             // Close button should probably hide during certain steps such as flashing and erasing
             if ("closeable" in dialog && dialog.closeable) {
@@ -369,8 +1211,89 @@ export class InstallButton extends HTMLButtonElement {
                 dialogButtons = dialog.buttons;
             }
 
-            this.updateButtons();
-            this.currentDialogElement.showModal();
+            const dialogElement = this.currentDialogElement;
+            const buttonsUpdated = this.updateButtons();
+            dialogElement.showModal();
+            // Focus can only go to the primary action once we know which
+            // buttons are enabled
+            buttonsUpdated.then(() => {
+                if (this.currentDialogElement === dialogElement) {
+                    this.focusInitialElement(dialogElement);
+                }
+            });
+
+            // Dialogs with "announce" (e.g. the progress dialogs) have no
+            // title to be read out, so their text is announced instead
+            const announcements = [];
+            if (this.stepAnnouncement) {
+                announcements.push(this.stepAnnouncement);
+                this.stepAnnouncement = null;
+            }
+            if (dialog.announce) {
+                announcements.push(dialogBody.textContent.replace(/\s+/g, " ").trim());
+            }
+            this.announcedProgress = 0;
+            if (announcements.length) {
+                this.announce(announcements.join(" "));
+            }
+        }
+    }
+
+    // Name the dialog after its title, and label the controls that have no text
+    labelDialog(dialogElement) {
+        const header = dialogElement.querySelector(".dialog-body h3");
+        if (header) {
+            header.id = `${dialogElement.id}-title`;
+            dialogElement.setAttribute("aria-labelledby", header.id);
+            dialogElement.removeAttribute("aria-label");
+        } else {
+            dialogElement.removeAttribute("aria-labelledby");
+            dialogElement.setAttribute("aria-label", this.t("a11y.dialog"));
+        }
+        dialogElement.querySelector(".close-button").setAttribute("aria-label", this.t("a11y.close"));
+        for (const progress of dialogElement.querySelectorAll(".dialog-body progress")) {
+            progress.setAttribute("aria-label", this.t("a11y.progress"));
+        }
+    }
+
+    // Focus the first thing in the dialog marked autofocus, otherwise the
+    // last enabled navigation button, which is the one that moves forward.
+    // Dialogs with nothing to press (e.g. while flashing) get the focus
+    // themselves rather than leaving it on the close button.
+    focusInitialElement(dialogElement) {
+        const navButtons = Array.from(dialogElement.querySelectorAll(".dialog-navigation button"))
+            .filter((button) => !button.disabled && button.style.display != "none");
+        const target = dialogElement.querySelector(".dialog-body [autofocus]") || navButtons.pop();
+        if (target) {
+            target.focus();
+        } else {
+            dialogElement.tabIndex = -1;
+            dialogElement.focus();
+        }
+    }
+
+    // Have screen readers read out a short message
+    announce(text) {
+        const status = this.currentDialogElement && this.currentDialogElement.querySelector(".dialog-status");
+        if (!status) {
+            return;
+        }
+        // Cleared first so the same message twice in a row is still read out
+        status.textContent = "";
+        setTimeout(() => {
+            status.textContent = text;
+        }, 100);
+    }
+
+    // Templates are plain markup, so expose their title and progress bar
+    // as ::part(header) and ::part(progress) once they're rendered
+    markDialogParts(dialogBody) {
+        const header = dialogBody.querySelector("h3");
+        if (header) {
+            header.part.add("header");
+        }
+        for (const progress of dialogBody.querySelectorAll("progress")) {
+            progress.part.add("progress");
         }
     }
 
@@ -379,10 +1302,24 @@ export class InstallButton extends HTMLButtonElement {
         this.currentDialogElement = null;
     }
 
-    errorMsg(text) {
+    // The code is sent along with the install-error event, see InstallError.
+    // Pass a dialog to show it in place of the error dialog, which is given
+    // the message along with data. Headless installs have no dialog to show
+    // it in, so this throws an InstallError instead, which runHeadless() logs
+    // and reports.
+    errorMsg(text, code = "install-failed", dialog = null, data = {}) {
         text = this.stripHtml(text);
+        if (this.headless) {
+            throw new InstallError(text, code);
+        }
         console.error(text);
-        this.showError(text);
+        this.log.add("error", text);
+        this.emitInstallEvent("error", {code: code, message: text});
+        if (dialog) {
+            this.showDialog(dialog, {...data, message: text});
+        } else {
+            this.showError(text);
+        }
     }
 
     // Like errorMsg but for user-recoverable hiccups (e.g. picked the
@@ -391,17 +1328,68 @@ export class InstallButton extends HTMLButtonElement {
     warnMsg(text) {
         text = this.stripHtml(text);
         console.warn(text);
+        this.log.add("warn", text);
         this.showWarning(text);
     }
 
     logMsg(text, showTrace = false) {
-        // TODO: Eventually add to an internal log that the user can bring up
-        console.info(this.stripHtml(text));
+        text = this.stripHtml(text);
+        console.info(text);
+        this.log.add("info", text);
         if (showTrace) {
             console.trace();
         }
     }
 
+    // Raw esptool-js output. This is kept at its own level so that the
+    // chatty flashing output can be told apart from our own messages
+    // when reading a log a user sent in.
+    terminalMsg(text) {
+        console.debug(text);
+        this.log.add("esptool", text);
+    }
+
+    async showLog(status = null) {
+        this.showDialog(this.dialogs.log, {status: status});
+        // Scroll to the newest entries since that's usually what's relevant
+        const logElement = this.currentDialogElement.querySelector(".install-log");
+        if (logElement) {
+            logElement.scrollTop = logElement.scrollHeight;
+        }
+    }
+
+    async copyLogToClipboard() {
+        try {
+            await navigator.clipboard.writeText(this.log.toText());
+            await this.showLog(this.t("log.copied"));
+        } catch (err) {
+            // Clipboard access can be refused (e.g. the page isn't focused).
+            // Downloading still works, so point the user at that instead.
+            await this.showLog(this.t("log.copyFailed"));
+        }
+    }
+
+    downloadLog() {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+        this.downloadBlob(
+            new Blob([this.log.toText()], {type: "text/plain"}),
+            `installer-log-${timestamp}.txt`
+        );
+    }
+
+    // Hand a blob to the user as a file download
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     updateEspConnected(connected) {
         if (Object.values(this.connectionStates).includes(connected)) {
             this.connected = connected;
@@ -409,12 +1397,75 @@ export class InstallButton extends HTMLButtonElement {
         }
     }
 
+    // The first of the lang attribute, then the browser's languages, that
+    // has a registered catalog. "es-MX" falls back to "es" along the way.
+    getLanguage() {
+        const requested = this.getAttribute("lang") ? [this.getAttribute("lang")] : [];
+        requested.push(...(navigator.languages || [navigator.language]));
+        for (const lang of requested) {
+            if (!lang) {
+                continue;
+            }
+            const tag = lang.toLowerCase();
+            if (tag in locales) {
+                return tag;
+            }
+            if (tag.split("-")[0] in locales) {
+                return tag.split("-")[0];
+            }
+        }
+        return DEFAULT_LANGUAGE;
+    }
+
+    // Look up a message and fill in its {name} placeholders. Anything that
+    // isn't in a catalog, like a label from a subclass that doesn't use
+    // message keys, is returned as is.
+    t(key, params = {}) {
+        const messages = locales[this.getLanguage()];
+        let text = messages && key in messages ? messages[key] : locales[DEFAULT_LANGUAGE][key];
+        if (text === undefined) {
+            return key;
+        }
+        return formatMessage(text, params);
+    }
+
+    // For messages with markup in them. The catalogs are trusted, but the
+    // params (drive and file names and so on) are escaped.
+    tHtml(key, params = {}) {
+        const escaped = Object.fromEntries(Object.entries(params).map(([name, value]) => [name, escapeHtml(value)]));
+        return unsafeHTML(this.t(key, escaped));
+    }
+
+    // Flow labels are message keys with a {version} placeholder. The older
+    // [version] placeholder still works for flows that use plain labels.
+    flowLabel(flow) {
+        return this.t(flow.label, {version: this.releaseVersion}).replace("[version]", this.releaseVersion);
+    }
+
     stripHtml(html) {
         let tmp = document.createElement("div");
         tmp.innerHTML = html;
         return tmp.textContent || tmp.innerText || "";
     }
 
+    // Check a blob against the {sha256, size} the catalog expects for it.
+    // Anything missing from expected simply isn't checked.
+    async verifyIntegrity(blob, expected, name) {
+        if (!expected) {
+            return;
+        }
+        if (expected.size !== undefined && blob.size !== expected.size) {
+            throw new IntegrityError(`${name} is ${blob.size} bytes but should be ${expected.size} bytes.`);
+        }
+        if (expected.sha256) {
+            const actualHash = await sha256Hex(blob);
+            if (actualHash !== expected.sha256.toLowerCase()) {
+                throw new IntegrityError(`${name} has SHA-256 ${actualHash} but should have ${expected.sha256.toLowerCase()}.`);
+            }
+            this.logMsg(`Verified SHA-256 of ${name}`);
+        }
+    }
+
     formatMacAddr(macAddr) {
         return macAddr.map((value) => value.toString(16).toUpperCase().padStart(2, "0")).join(":");
     }
@@ -427,63 +1478,367 @@ export class InstallButton extends HTMLButtonElement {
             this.transport = null;
             this.device = null;
             this.chip = null;
+            this.deviceInfo = null;
             return true;
         }
         return false;
     }
 
-    async runFlow(flow) {
+    // Start a new run of a flow, given its id, its definition or a menu
+    // click event. Use startAt to begin at a named step instead of the first
+    // one, and parent to make Previous on that step return to another run.
+    // Steps named in completed were done by an earlier run and are skipped.
+    async runFlow(flow, {startAt = null, parent = null, completed = []} = {}) {
+        let flowId;
         if (flow instanceof Event) {
             flow.preventDefault();
             flow.stopImmediatePropagation();
-            if (flow.target.id in this.flows) {
-                flow = this.flows[flow.target.id];
-            } else {
-                return;
+            flowId = flow.target.id;
+        } else if (typeof flow == "string") {
+            flowId = flow;
+        } else {
+            flowId = Object.keys(this.flows).find((id) => this.flows[id] === flow);
+        }
+        if (!(flowId in this.flows)) {
+            return;
+        }
+
+        const run = new FlowRun(flowId, this.flows[flowId], parent);
+        run.completed = new Set(completed);
+        if (startAt) {
+            run.index = run.startIndex = run.indexOf(startAt);
+            if (run.index == -1) {
+                throw new Error(`Flow ${flowId} has no step named ${startAt}`);
             }
         }
+        this.currentFlow = run;
+        this.emitInstallEvent("flow-start", {label: this.flowLabel(run.flow)});
+        await this.runCurrentStep();
+    }
 
-        this.currentFlow = flow;
-        this.currentStep = 0;
-        await this.currentFlow.steps[this.currentStep].bind(this)();
+    // Run (or re-run, e.g. to retry it) the current step of the current flow
+    async runCurrentStep() {
+        if (!this.currentFlow) {
+            return;
+        }
+
+        const current = this.currentFlow.current;
+        this.emitStepChange();
+        this.saveResumeState();
+        await (typeof current.step == "string" ? this[current.step] : current.step).bind(this)();
+    }
+
+    // Run a whole flow without the wizard, using headlessSteps in place of
+    // its steps. No dialogs are shown apart from the browser's own port and
+    // folder pickers. Resolves with the result (also sent with
+    // install-complete) or rejects with an InstallError.
+    async runHeadless(flowId, options = {}) {
+        if (this.headless) {
+            throw this.headlessFailure(new InstallError("An install is already running", "busy"), flowId);
+        }
+        if (!(flowId in this.flows)) {
+            throw this.headlessFailure(new InstallError(`There is no flow named ${flowId}`, "unknown-flow"), flowId);
+        }
+        const run = new FlowRun(flowId, this.flows[flowId]);
+        const unsupported = run.steps.filter((step) => !(step.name in this.headlessSteps)).map((step) => step.name);
+        if (unsupported.length) {
+            throw this.headlessFailure(new InstallError(`${flowId} needs the wizard for ${unsupported.join(", ")}`, "unsupported-flow"), flowId);
+        }
+
+        // Whatever the wizard was doing is abandoned
+        this.cancelFlow();
+        if (this.currentDialogElement) {
+            this.closeDialog();
+        }
+        this.headless = true;
+        this.currentFlow = run;
+        this.emitInstallEvent("flow-start", {label: this.flowLabel(run.flow)});
+        let result = {};
+        try {
+            while (true) {
+                this.emitStepChange();
+                const stepResult = await this.headlessSteps[run.current.name].bind(this)(options);
+                result = {...result, ...stepResult};
+                if (!run.hasNext()) {
+                    break;
+                }
+                run.index++;
+            }
+        } catch (err) {
+            run.status = "failed";
+            throw this.headlessFailure(err, flowId);
+        } finally {
+            this.headless = false;
+        }
+        this.completeFlow(result);
+        return result;
+    }
+
+    // Everything a headless install rejects with goes through here, whether
+    // a step threw it or the install couldn't start. Anything that isn't an
+    // InstallError is wrapped in one, then it's logged and sent with
+    // install-error like errorMsg() would, and returned for throwing.
+    headlessFailure(err, flowId = null) {
+        const error = err instanceof InstallError ? err : new InstallError(err && err.message ? err.message : String(err));
+        if (error !== err) {
+            error.cause = err;
+        }
+        console.error(error.message);
+        this.log.add("error", error.message);
+        this.emitInstallEvent("error", {flow: flowId, code: error.code, message: error.message, error: error});
+        return error;
+    }
+
+    emitStepChange() {
+        const current = this.currentFlow.current;
+        // Read out along with the next dialog the step shows
+        this.stepAnnouncement = this.t("a11y.step", {
+            step: this.currentFlow.index + 1,
+            count: this.currentFlow.steps.length,
+        });
+        this.emitInstallEvent("step-change", {
+            step: current.name,
+            group: current.group,
+            index: this.currentFlow.index,
+            count: this.currentFlow.steps.length,
+        });
+    }
+
+    // Called by the last step of a flow once the install has worked. The
+    // detail (e.g. chip, MAC address, version) is sent to the page with the
+    // install-complete event.
+    completeFlow(detail = {}) {
+        if (this.currentFlow && this.currentFlow.status == "running") {
+            this.currentFlow.status = "complete";
+            this.clearResumeState();
+            this.emitInstallEvent("complete", detail);
+        }
+    }
+
+    // The user closed the installer. If that was partway through a flow
+    // (including after an error), let the page know it was abandoned. The
+    // resume state is kept so the next click can offer to pick it back up.
+    cancelFlow() {
+        if (this.currentFlow && this.currentFlow.status == "running") {
+            this.currentFlow.status = "cancelled";
+            this.emitInstallEvent("cancel", {step: this.currentFlow.current.name});
+        }
+    }
+
+    // Lifecycle events for the host page, e.g. install-progress. Every
+    // event's detail includes the id of the flow it's about.
+    emitInstallEvent(type, detail = {}) {
+        this.dispatchEvent(new CustomEvent(`install-${type}`, {
+            bubbles: true,
+            composed: true,
+            detail: {flow: this.currentFlow ? this.currentFlow.id : null, ...detail},
+        }));
+    }
+
+    // Set the current dialog's progress bar (if it has one) and send an
+    // install-progress event. The phase says what is being done, e.g.
+    // "download" or "flash".
+    updateProgress(phase, bytes, total) {
+        const percentage = total ? Math.round((bytes / total) * 100) : 100;
+        const progressElement = this.currentDialogElement && this.currentDialogElement.querySelector("progress");
+        if (progressElement) {
+            progressElement.value = percentage;
+        }
+        const milestone = Math.floor(percentage / PROGRESS_ANNOUNCE_INTERVAL) * PROGRESS_ANNOUNCE_INTERVAL;
+        if (milestone > this.announcedProgress) {
+            this.announcedProgress = milestone;
+            this.announce(this.t("a11y.percentComplete", {percentage: milestone}));
+        }
+        this.emitInstallEvent("progress", {phase: phase, bytes: bytes, total: total, percentage: percentage});
+    }
+
+    hasNextStep() {
+        return !!this.currentFlow && this.currentFlow.hasNext();
+    }
+
+    hasPreviousStep() {
+        return !!this.currentFlow && this.currentFlow.hasPrevious();
     }
 
     async nextStep() {
-        if (!this.currentFlow) {
+        if (!this.hasNextStep()) {
             return;
         }
 
-        if (this.currentStep < this.currentFlow.steps.length) {
-            this.currentStep++;
-            await this.currentFlow.steps[this.currentStep].bind(this)();
+        const run = this.currentFlow;
+        run.completed.add(run.current.name);
+        run.index++;
+        // Don't redo steps a resumed run already got through
+        while (run.completed.has(run.current.name) && run.hasNext()) {
+            this.logMsg(`Skipping ${run.current.name}, which was already done`);
+            run.index++;
         }
+        await this.runCurrentStep();
     }
 
     async prevStep() {
-        if (!this.currentFlow) {
+        if (!this.hasPreviousStep()) {
             return;
         }
 
-        if (this.currentStep > 0) {
-            this.currentStep--;
-            await this.currentFlow.steps[this.currentStep].bind(this)();
+        if (this.currentFlow.index == this.currentFlow.startIndex) {
+            this.currentFlow = this.currentFlow.parent;
+        } else {
+            this.currentFlow.index--;
+        }
+        await this.runCurrentStep();
+    }
+
+    // Deprecated: the index of the current step, from before flows ran as
+    // FlowRuns. Use currentFlow.index, or currentFlow.current for the step.
+    get currentStep() {
+        return this.currentFlow ? this.currentFlow.index : 0;
+    }
+
+    set currentStep(index) {
+        if (this.currentFlow) {
+            this.currentFlow.index = index;
         }
     }
 
+    // Deprecated: move stepCount steps on (or back, if negative) and run
+    // that step. Use nextStep(), prevStep() or runFlow() with startAt.
     async advanceSteps(stepCount) {
         if (!this.currentFlow) {
             return;
         }
 
-        if (this.currentStep <= this.currentFlow.steps.length + stepCount) {
-            this.currentStep += stepCount;
-            await this.currentFlow.steps[this.currentStep].bind(this)();
+        const index = this.currentFlow.index + stepCount;
+        if (index >= 0 && index < this.currentFlow.steps.length) {
+            this.currentFlow.index = index;
+            await this.runCurrentStep();
         }
     }
 
-    async showMenu() {
-        // Display Menu
-        this.showDialog(this.dialogs.menu);
+    // Change the rest of the current run only, leaving the flow as defined
+    replaceRemainingSteps(steps) {
+        if (this.currentFlow) {
+            this.currentFlow.replaceRemaining(steps);
+        }
+    }
+
+    // Display Menu, with an optional status line such as the result of
+    // one of the menu actions
+    async showMenu(status = null) {
+        this.showDialog(this.dialogs.menu, {status: status});
+        if (status) {
+            this.announce(status);
+        }
+    }
+
+    ////////// RESUMING //////////
+
+    // Flow runs are saved to sessionStorage as each step starts, so that one
+    // interrupted by closing the dialog or reloading the page can be picked
+    // back up from the next click in the same tab
+    get resumeStorageKey() {
+        return `${this.dialogCssClass}-resume`;
+    }
+
+    saveResumeState() {
+        const run = this.currentFlow;
+        // Nothing worth resuming until a step has been done
+        if (run.flow.resumable === false || !run.completed.size) {
+            this.clearResumeState();
+            return;
+        }
+        const state = {
+            ...this.resumeState(),
+            flow: run.id,
+            // As labelled when it ran, e.g. with the version being installed
+            label: this.flowLabel(run.flow),
+            step: run.current.name,
+            completed: [...run.completed],
+        };
+        try {
+            sessionStorage.setItem(this.resumeStorageKey, JSON.stringify(state));
+        } catch (err) {
+            console.warn("Unable to save the install state:", err);
+        }
+    }
+
+    // The saved state, or null if there isn't one or its flow or step no
+    // longer exists
+    loadResumeState() {
+        let state = null;
+        try {
+            state = JSON.parse(sessionStorage.getItem(this.resumeStorageKey));
+        } catch (err) {
+            console.warn("Unable to load the install state:", err);
+        }
+        if (!state) {
+            return null;
+        }
+        const flow = this.flows[state.flow];
+        if (!flow || flow.resumable === false || !Array.isArray(state.completed)
+            || !new FlowRun(state.flow, flow).has(state.step)) {
+            this.clearResumeState();
+            return null;
+        }
+        return state;
+    }
+
+    clearResumeState() {
+        try {
+            sessionStorage.removeItem(this.resumeStorageKey);
+        } catch (err) {
+            console.warn("Unable to clear the install state:", err);
+        }
+    }
+
+    // Override to save more with the flow and step, e.g. the board picked
+    resumeState() {
+        return {};
+    }
+
+    // Override to put back what resumeState() saved before the flow
+    // resumes. Return false if it can't be, e.g. the board has gone.
+    async restoreResumeState(state) {
+        return true;
+    }
+
+    // Override to describe the saved install in the resume prompt
+    resumeSummary(state) {
+        return null;
+    }
+
+    // The step to resume a run at. Steps in a group resume at the start of
+    // it, since the group's steps only work together.
+    resumeStep(run, stepName) {
+        const step = run.steps[run.indexOf(stepName)];
+        return step.group || step.name;
+    }
+
+    async showResumePrompt() {
+        const state = this.loadResumeState();
+        this.showDialog(this.dialogs.resume, {
+            label: state.label,
+            summary: this.resumeSummary(state),
+        });
+    }
+
+    async startOverHandler(e) {
+        this.clearResumeState();
+        this.closeDialog();
+        await this.buttonClickHandler(e);
+    }
+
+    async resumeHandler(e) {
+        const state = this.loadResumeState();
+        this.closeDialog();
+        if (!state || !await this.restoreResumeState(state) || !await this.flows[state.flow].isEnabled()) {
+            this.clearResumeState();
+            this.showError(this.t("resume.unavailable"));
+            return;
+        }
+        const startAt = this.resumeStep(new FlowRun(state.flow, this.flows[state.flow]), state.step);
+        this.logMsg(`Resuming ${state.flow} at ${startAt}`);
+        await this.runFlow(state.flow, {startAt: startAt, completed: state.completed});
     }
 
     async showNotSupported() {
@@ -519,12 +1874,177 @@ export class InstallButton extends HTMLButtonElement {
         }
     }
 
+    // The next baud rate down in baudRates, to retry a flaky connection at.
+    // Null once there's nothing lower than the current rate to try.
+    nextLowerBaudRate(baud = this.baudRate) {
+        const lowerRates = this.baudRates.filter((rate) => rate < baud && rate >= ESP_ROM_BAUD);
+        return lowerRates.length ? Math.max(...lowerRates) : null;
+    }
+
+    // Close the connection but keep the port, so the next espConnect() opens
+    // the same port at the new baud rate without asking the user to pick it
+    async resetConnection(baud) {
+        const port = this.device;
+        await this.espDisconnect();
+        this.device = port;
+        await this.changeBaudRate(baud);
+    }
+
+    espLogger() {
+        return {
+            log: (...args) => this.logMsg(...args),
+            debug: (...args) => {},
+            error: (...args) => this.errorMsg(...args),
+        };
+    }
+
+    // espConnect(), but if the chip answers at the ROM baud rate and then
+    // stops responding once esptool-js switches to the faster one, which
+    // cheap USB-serial bridges are prone to, try again at lower rates.
+    async espConnectWithFallback(logger) {
+        while (true) {
+            try {
+                await this.espConnect(logger);
+                logger.log(`Connected at ${this.baudRate} baud`);
+                return this.esploader;
+            } catch (err) {
+                // Without a chip the ROM sync itself failed, which a lower
+                // rate won't fix
+                const synced = !!this.device && !!this.esploader && !!this.esploader.chip;
+                const lowerBaud = this.nextLowerBaudRate();
+                if (err instanceof NotRomBootloaderError || !synced || !lowerBaud) {
+                    throw err;
+                }
+                logger.log(`Unable to connect at ${this.baudRate} baud (${err}), trying ${lowerBaud} baud`);
+                await this.resetConnection(lowerBaud);
+            }
+        }
+    }
+
     async espHardReset() {
         if (this.esploader) {
             await new HardReset(this.esploader.transport, false).reset();
         }
     }
 
+    // Like esptool-js's detectFlashSize(), but null rather than its "4MB"
+    // fallback when the flash ID isn't one it knows, so the size counts as
+    // unknown instead of ruling out boards with more flash
+    async readFlashSize() {
+        const sizeId = (await this.esploader.readFlashId() >> 16) & 0xff;
+        const flashSize = this.esploader.DETECTED_FLASH_SIZES[sizeId] || null;
+        if (!flashSize) {
+            this.logMsg(`Unrecognised flash size ID 0x${sizeId.toString(16)}`);
+        }
+        return flashSize;
+    }
+
+    // Read what we can about the connected chip. Used to narrow down which
+    // board is connected and to label files (like backups) after the device.
+    async readDeviceInfo() {
+        const chip = this.esploader.chip;
+        const deviceInfo = {
+            chipName: chip.CHIP_NAME,
+            chipFamily: `${chip.CHIP_NAME}`.toLowerCase().replaceAll("-", ""),
+            mac: null,
+            flashSize: null,
+            psramSize: null,
+            packageVersion: null,
+            features: [],
+        };
+
+        // Each of these is optional depending on the chip, so don't let one
+        // failing stop us from getting the rest
+        try {
+            deviceInfo.mac = await chip.readMac(this.esploader);
+        } catch (err) {
+            this.logMsg(`Unable to read MAC address: ${err}`);
+        }
+        try {
+            deviceInfo.flashSize = await this.readFlashSize();
+        } catch (err) {
+            this.logMsg(`Unable to detect flash size: ${err}`);
+        }
+        try {
+            deviceInfo.features = (await chip.getChipFeatures(this.esploader)).map((feature) => feature.trim());
+            for (const feature of deviceInfo.features) {
+                // e.g. "Embedded PSRAM 2MB". Some chips don't say how much.
+                const matches = feature.match(/^Embedded PSRAM\s*(\d+MB)?/);
+                if (matches) {
+                    deviceInfo.psramSize = matches[1] || "embedded";
+                }
+            }
+        } catch (err) {
+            this.logMsg(`Unable to read chip features: ${err}`);
+        }
+        if (chip.getPkgVersion) {
+            try {
+                deviceInfo.packageVersion = await chip.getPkgVersion(this.esploader);
+            } catch (err) {
+                this.logMsg(`Unable to read package version: ${err}`);
+            }
+        }
+
+        this.deviceInfo = deviceInfo;
+        this.logMsg(`Device: ${deviceInfo.chipName}, MAC ${deviceInfo.mac}, ${deviceInfo.flashSize} flash, PSRAM: ${deviceInfo.psramSize || "none embedded"}`);
+        return deviceInfo;
+    }
+
+    // Read the entire flash of the connected chip into a Blob. Throws if the
+    // flash size isn't known, as guessing could leave out part of the flash.
+    async readFlashBackup(onProgress = null) {
+        const flashSize = await this.readFlashSize();
+        if (!flashSize) {
+            throw new InstallError(this.t("error.flashSizeUnknown"), "backup-failed");
+        }
+        const size = this.esploader.flashSizeBytes(flashSize);
+        this.logMsg(`Reading ${flashSize} of flash...`);
+        const chunks = [];
+        for (let offset = 0; offset < size; offset += FLASH_READ_CHUNK_SIZE) {
+            const chunkSize = Math.min(FLASH_READ_CHUNK_SIZE, size - offset);
+            chunks.push(await this.esploader.readFlash(offset, chunkSize, (packet, received, total) => {
+                if (onProgress) {
+                    onProgress(offset + received, size);
+                }
+            }));
+        }
+        // The Blob joins the chunks in one go
+        return new Blob(chunks, {type: "application/octet-stream"});
+    }
+
+    // Read the partition table of the connected chip. Throws if there isn't
+    // a valid one, e.g. on a freshly erased chip.
+    async readPartitionTable() {
+        const data = await this.esploader.readFlash(PARTITION_TABLE_OFFSET, PARTITION_TABLE_SIZE);
+        const partitions = parsePartitionTable(data);
+        if (!partitions.length) {
+            throw new Error("No partition table found");
+        }
+        return partitions;
+    }
+
+    // Erase just part of the flash. Offset and size need to be multiples of
+    // the 4KB sector size, which partitions always are.
+    async eraseRegion(offset, size) {
+        const loader = this.esploader;
+        const data = new Uint8Array(8);
+        const view = new DataView(data.buffer);
+        view.setUint32(0, offset, true);
+        view.setUint32(4, size, true);
+        this.logMsg(`Erasing ${size} bytes at 0x${offset.toString(16)}...`);
+        await loader.checkCommand("erase region", loader.ESP_ERASE_REGION, data, 0, 0, loader.timeoutPerMb(loader.ERASE_REGION_TIMEOUT_PER_MB, size));
+    }
+
+    // e.g. esp32s3-f412fa123456-2026-10-19.bin
+    async getBackupFilename() {
+        if (!this.deviceInfo) {
+            await this.readDeviceInfo();
+        }
+        const mac = (this.deviceInfo.mac || "unknown").replaceAll(":", "").toLowerCase();
+        const date = new Date().toISOString().slice(0, 10);
+        return `${this.deviceInfo.chipFamily}-${mac}-${date}.bin`;
+    }
+
     async espConnect(logger) {
         logger.log("Connecting...");
 
@@ -549,27 +2069,30 @@ export class InstallButton extends HTMLButtonElement {
                 // Clear our refs so the next Connect click re-prompts the picker.
                 this.device = null;
                 this.transport = null;
-                throw new NotRomBootloaderError(
-                    "Oops, it looks like the board is not in ROM Bootloader mode.\n\n" +
-                    "To get there: hold the BOOT button, tap RESET, then " +
-                    "release BOOT. Then click OK to try again and pick " +
-                    "the port named something like \"USB JTAG/serial debug unit\", " +
-                    "or a USB-serial bridge (CP210x, CH340, FTDI)."
-                );
+                throw new NotRomBootloaderError(this.t("error.notRomBootloader"));
             }
+        }
 
+        // Also needed for a port we already have, e.g. when reconnecting at
+        // a lower baud rate after espDisconnect()
+        if (this.transport === null) {
             this.transport = new Transport(this.device, true);
         }
 
         const espLoaderTerminal = {
-            clean() {
-                // Clear the terminal
+            clean: () => {
+                // Nothing to clear, the log keeps its history
             },
-            writeLine(data) {
-                logger.log(data);
+            writeLine: (data) => {
+                this.terminalMsg(this._terminalLine + data);
+                this._terminalLine = "";
             },
-            write(data) {
-                logger.log(data);
+            write: (data) => {
+                const lines = (this._terminalLine + data).split("\n");
+                this._terminalLine = lines.pop();
+                for (const line of lines) {
+                    this.terminalMsg(line);
+                }
             },
         };
 
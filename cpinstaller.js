@@ -8,30 +8,437 @@ import { map } from 'https://cdn.jsdelivr.net/npm/lit-html/directives/map/+esm';
 import * as toml from "https://cdn.jsdelivr.net/npm/iarna-toml-esm@3.0.5/+esm"
 import * as zip from "https://cdn.jsdelivr.net/npm/@zip.js/zip.js@2.6.65/+esm";
 import { REPL } from 'https://cdn.jsdelivr.net/gh/adafruit/circuitpython-repl-js@3.2.1/repl.js';
-import { InstallButton, ESP_ROM_BAUD, NotRomBootloaderError } from "./base_installer.js";
+import {
+    InstallButton, ESP_ROM_BAUD, InstallError, NotRomBootloaderError, FirmwareCache, IntegrityError,
+    FlashVerificationError, md5Hex, stepGroup, FlowRun, registerLocale, DEFAULT_LANGUAGE
+} from "./base_installer.js";
+
+// So pages can add languages without importing the base installer too
+export { registerLocale };
 
-// TODO: Combine multiple steps together. For now it was easier to make them separate,
-// but for ease of configuration, it would be work better to combine them together.
-// For instance stepSelectBootDrive and stepCopyUf2 should always be together and in
-// that order, but due to having handlers in the first of those steps, it was easier to
-// just call nextStep() from the handler.
-//
-// TODO: Hide the log and make it accessible via the menu (future feature, output to console for now)
-// May need to deal with the fact that the ESPTool uses Web Serial and CircuitPython REPL uses Web Serial
-//
 // TODO: Update File Operations to take advantage of the REPL FileOps class to allow non-CIRCUITPY drive access
 
 const PREFERRED_BAUDRATE = 921600;
+// Rates above this are often more than a USB serial bridge can keep up with
+const RELIABLE_BAUDRATE = 921600;
+// Where the Advanced menu keeps its settings, and the values each can be set to
+const ADVANCED_SETTINGS_KEY = "cp-installer-advanced-settings";
+const FLASH_MODES = ["keep", "qio", "qout", "dio", "dout"];
+const FLASH_FREQUENCIES = ["keep", "80m", "40m", "26m", "20m"];
+const FLASH_SIZES = ["keep", "detect", "1MB", "2MB", "4MB", "8MB", "16MB", "32MB"];
+const ERASE_MODES = ["all", "firmware", "none"];
+const DEFAULT_ADVANCED_SETTINGS = {
+    baudRate: PREFERRED_BAUDRATE,
+    flashMode: "keep",
+    flashFreq: "keep",
+    flashSize: "keep",
+    erase: "all",
+};
 const COPY_CHUNK_SIZE = 64 * 1024; // 64 KB Chunks
 const DEFAULT_RELEASE_LATEST = false;   // Use the latest release or the stable release if not specified
 const BOARD_DEFS = "https://adafruit-circuit-python.s3.amazonaws.com/esp32_boards.json";
+const CATALOG_FETCH_ATTEMPTS = 3;
+const CATALOG_RETRY_DELAY = 1000;   // Doubles after each failed attempt
+const FIRMWARE_CACHE_NAME = "cp-installer-firmware";
+const FIRMWARE_CACHE_LIMIT = 64 * 1024 * 1024;  // 64 MB
+const FIRMWARE_CACHE_MAX_AGE = 24 * 60 * 60 * 1000;  // 1 day, for files the server can't revalidate
+// Where "Back Up to Browser Storage" keeps CIRCUITPY files (in the origin
+// private file system), and host OS clutter on the drive not worth copying
+const CIRCUITPY_BACKUP_DIR = "circuitpy-backup";
+const CIRCUITPY_SYSTEM_FILES = [".fseventsd", ".Spotlight-V100", ".Trashes", "System Volume Information"];
+
+// A page reload loses the serial connection and picked drives, so resuming
+// at one of these steps starts again from the step (key) that sets them up
+const RESUME_SETUP_STEPS = {
+    stepSerialConnect: [
+        "stepConfirm", "stepBackupFlash", "stepEraseAll", "stepBootloader", "stepFlashBin",
+        "stepFlashManifest", "stepConfirmRestore", "stepFlashRestoreImage", "stepFlashLocalFile",
+    ],
+    stepSelectCpyDrive: ["stepRestoreCircuitpy", "stepCredentials", "stepSuccess"],
+    stepSetupRepl: ["stepCredentials", "stepSuccess"],
+};
 
 const CSS_DIALOG_CLASS = "cp-installer-dialog";
+// Added to the base installer's dialog styles for the templates below
+const CP_DIALOG_STYLES = `
+    :host {
+        --_accent-color: #6b2fa0;
+    }
+    :host([data-theme="dark"]) {
+        --_accent-color: #b98ae6;
+    }
+    @media (prefers-color-scheme: dark) {
+        :host(:not([data-theme="light"])) {
+            --_accent-color: #b98ae6;
+        }
+    }
+    .field {
+        margin: 0.5em 0;
+    }
+    .field label {
+        display: block;
+    }
+    .setting-data {
+        box-sizing: border-box;
+        width: 100%;
+        padding: 0.25em 0.5em;
+    }
+    .file-drop-zone {
+        padding: 1em;
+        text-align: center;
+        border: 2px dashed var(--installer-border-color, var(--_border-color));
+        border-radius: var(--installer-border-radius, 8px);
+    }
+    .partition-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 0.9em;
+    }
+    .partition-table th, .partition-table td {
+        padding: 0.25em 0.5em;
+        text-align: left;
+        border-bottom: 1px solid var(--installer-border-color, var(--_border-color));
+    }
+    .loader {
+        position: relative;
+        width: 64px;
+        height: 64px;
+        margin: 1em auto;
+    }
+    .loader div {
+        position: absolute;
+        box-sizing: border-box;
+        width: 52px;
+        height: 52px;
+        margin: 6px;
+        border: 6px solid transparent;
+        border-top-color: var(--installer-accent-color, var(--_accent-color));
+        border-radius: 50%;
+        animation: loader-spin 1.2s cubic-bezier(0.5, 0, 0.5, 1) infinite;
+    }
+    .loader div:nth-child(1) {
+        animation-delay: -0.45s;
+    }
+    .loader div:nth-child(2) {
+        animation-delay: -0.3s;
+    }
+    .loader div:nth-child(3) {
+        animation-delay: -0.15s;
+    }
+    @keyframes loader-spin {
+        from { transform: rotate(0deg); }
+        to { transform: rotate(360deg); }
+    }
+`;
+
+// The English text for everything below, and the default catalog other
+// languages are registered against. Messages used with tHtml() may contain
+// markup. Keep their {placeholders} when translating.
+registerLocale(DEFAULT_LANGUAGE, {
+    "button.ok": "OK",
+    "button.continue": "Continue",
+    "button.retry": "Retry",
+    "button.skip": "Skip",
+    "connection.connected": "Connected",
+    "flow.fullInstall": "Full CircuitPython {version} Install",
+    "flow.uf2Only": "Install CircuitPython {version} UF2 Only",
+    "flow.binOnly": "Install CircuitPython {version} Bin Only",
+    "flow.bootloaderOnly": "Install Bootloader Only",
+    "flow.manifest": "Install Firmware from Manifest",
+    "flow.restoreBackup": "Restore Firmware from a Backup File",
+    "flow.localBin": "Install .bin from File",
+    "flow.localBootloader": "Install Bootloader from File",
+    "flow.localUf2": "Install .uf2 from File",
+    "flow.credentials": "Update WiFi credentials",
+    "menu.circuitpythonTitle": "CircuitPython Installer for {board}",
+    "menu.installFromFile": "Install from File...",
+    "menu.clearCache": "Clear Cached Firmware",
+    "menu.cacheCleared": "Cached firmware files have been cleared.",
+    "menu.advanced": "Advanced...",
+    "resume.board": "Board: {board}",
+    "resume.boardVersion": "Board: {board}, CircuitPython {version}",
+    "deepLink.unknownBoard": "The link you followed is for a board called \"{board}\", which this installer doesn't offer. " +
+        "Click the install button again to pick your board from the list.",
+    "deepLink.noBoard": "The link you followed picks a CircuitPython version or install option, but not which board it's for. " +
+        "Click the install button again to pick your board from the list.",
+    "deepLink.unknownVersion": "CircuitPython {version} from the link you followed isn't available for the {board}. " +
+        "Click the install button again to pick one of the versions that is.",
+    "deepLink.unknownFlow": "The install option \"{flow}\" from the link you followed isn't available for the {board} in this browser. " +
+        "Click the install button again to pick one from the menu.",
+    "version.label": "CircuitPython version:",
+    "version.stable": "Stable",
+    "version.prerelease": "Beta/RC",
+    "version.older": "Older",
+    "boardSelect.detected": "Detected {chip}.",
+    "boardSelect.detectedFlash": "{chip} with {size} flash",
+    "boardSelect.matching": "Select your board from the matching boards:",
+    "boardSelect.noMatch": "No boards in the list match it exactly, so select the board you have:",
+    "boardSelect.intro": "There are multiple boards are available. Select the board you have, " +
+        "or put it into ROM bootloader mode and click Detect My Board.",
+    "boardSelect.placeholder": " - boards - ",
+    "boardSelect.detect": "Detect My Board",
+    "boardSelect.select": "Select Board",
+    "catalogUnavailable.title": "Board catalog unavailable",
+    "catalogUnavailable.manual": "If the problem persists, the manual installation methods like the " +
+        "<a href=\"https://adafruit.github.io/Adafruit_WebSerial_ESPTool/\">Adafruit WebSerial Tool</a> " +
+        "and esptool.py should still work.",
+    "welcome.title": "Web Firmware Installer",
+    "welcome.intro": "Welcome! This tool will install a UF2 bootloader and/or CircuitPython on your {board}.",
+    "welcome.experimental": "This tool is <strong>experimental</strong>. If you experience any issues, feel free to check out " +
+        "<a href=\"https://github.com/adafruit/circuitpython-org/issues\">https://github.com/adafruit/circuitpython-org/issues</a> " +
+        "to see if the issue you are experiencing has already been reported. If not, feel free to open a new issue. " +
+        "If you do see the same issue and are able to contribute additional information, that would be appreciated.",
+    "welcome.manual": "If you are unable to use this tool, then the manual installation methods like the " +
+        "<a href=\"https://adafruit.github.io/Adafruit_WebSerial_ESPTool/\">Adafruit WebSerial Tool</a> " +
+        "and esptool.py should still work.",
+    "espSerialConnect.title": "Connect to Your Board",
+    "espSerialConnect.plugIn": "Plug your board into this computer. " +
+        "<em>Make sure the USB cable is good for data sync, and is not a charge-only cable.</em>",
+    "espSerialConnect.bootloaderMode": "<strong>Put your board into ROM bootloader mode</strong>, " +
+        "by holding down the BOOT button (sometimes marked \"B0\"), and clicking the RESET button (sometimes marked \"RST\"). " +
+        "If your board doesn't have a BOOT button, just press RESET.",
+    "espSerialConnect.connect": "Click this button to open the Web Serial connection menu and choose the serial port for this board.",
+    "espSerialConnect.choosePort": "There may be many devices listed, such as your remembered Bluetooth peripherals, anything else plugged into USB, etc. " +
+        "If you aren't sure which to choose, look for words like \"USB\", \"UART\", \"JTAG\", and \"Bridge Controller\". " +
+        "There may be more than one right option depending on your system configuration. Experiment if needed.",
+    "notRomBootloader.title": "Not in ROM Bootloader mode",
+    "confirm.title": "Erase Flash",
+    "confirm.intro": "Now, optionally, erase everything on the {board}.",
+    "confirm.backup": "Back up current firmware first",
+    "confirm.backupHint": "Saves everything currently on the board to a .bin file you can restore later. This can take a few minutes.",
+    "confirm.keepFiles": "Keep my files (only erase the firmware)",
+    "confirm.keepNvs": "Also keep saved settings (NVS)",
+    "confirm.keepFilesHint": "Leaves the CIRCUITPY filesystem, with code.py, settings.toml and your libraries, in place. " +
+        "Only use this when upgrading to firmware with the same partition layout, such as a newer CircuitPython for this same board.",
+    "confirm.skipErase": "Skip Erase",
+    "confirm.skipEraseWarning": "Skipping the erase step may cause issues and is not recommended. Continue?",
+    "confirm.eraseOff": "Erasing is turned off in the Advanced settings, so Continue will leave the flash as it is.",
+    "confirm.keepFilesUnavailable": "The Advanced settings ask to keep your files, but that isn't possible here because " +
+        "this install replaces the partition table or it couldn't be read. Continue will erase everything, including your files. " +
+        "Use Skip Erase or back up CIRCUITPY first if you need to keep them.",
+    "partitions.partition": "Partition",
+    "partitions.type": "Type",
+    "partitions.offset": "Offset",
+    "partitions.size": "Size",
+    "partitions.whenKeeping": "When keeping files",
+    "partitions.erased": "Erased",
+    "partitions.erasedUnlessNvs": "Erased unless keeping NVS",
+    "partitions.kept": "Kept",
+    "fsapiUnavailable.title": "Your browser can't finish automatically",
+    "fsapiUnavailable.intro": "Your browser doesn't support the <strong>FileSystem API</strong>, which this installer " +
+        "normally uses to copy the CircuitPython UF2 file onto your board's bootloader drive and to write your WiFi " +
+        "settings to <code>settings.toml</code>.",
+    "fsapiUnavailable.options": "You have a few options:",
+    "fsapiUnavailable.anotherBrowser": "<strong>Use another browser.</strong> Close this dialog, then re-open this page in " +
+        "Chrome, Edge, or Opera (version 89 or newer). Those browsers support the FileSystem API and will copy " +
+        "CircuitPython and set up WiFi for you automatically.",
+    "fsapiUnavailable.manual": "<strong>Continue here and copy manually.</strong> We'll guide you through downloading the " +
+        "CircuitPython UF2 file and dragging it onto your board's bootloader drive yourself. WiFi setup can't be automated " +
+        "this way, but we'll show you how to edit <code>settings.toml</code> by hand once your board is running CircuitPython.",
+    "fsapiUnavailable.bin": "<strong>Install the .bin instead.</strong> We can flash CircuitPython directly over USB " +
+        "without using the FileSystem API at all. <em>However</em>, this skips installing the UF2 bootloader, so you " +
+        "won't have the drag-and-drop BOOT drive for future firmware updates &mdash; you'll need to come back here " +
+        "(or use a browser with the FileSystem API) every time you want to change CircuitPython versions.",
+    "fsapiUnavailable.useAnotherBrowser": "Use Another Browser",
+    "fsapiUnavailable.installBin": "Install .bin Instead",
+    "fsapiUnavailable.continueManually": "Continue Manually",
+    "manualBootCopy.title": "Copy CircuitPython onto the {drive} drive",
+    "manualBootCopy.reset": "<strong>Reset your board.</strong> Press the RESET button once. A new drive named " +
+        "<code>{drive}</code> should appear on your computer in a few seconds.",
+    "manualBootCopy.download": "<strong>Download the CircuitPython UF2 file.</strong>",
+    "manualBootCopy.downloadLink": "Download <code>{file}</code>",
+    "manualBootCopy.drag": "<strong>Drag the downloaded UF2 file onto the <code>{drive}</code> drive.</strong> " +
+        "The drive will disappear when the copy is finished and the board reboots into CircuitPython.",
+    "manualBootCopy.next": "Click <strong>Next</strong> once you've dragged the file onto the drive.",
+    "manualCircuitPyWait.title": "Waiting for CIRCUITPY",
+    "manualCircuitPyWait.intro": "Once your board finishes copying CircuitPython, a new drive named " +
+        "<code>CIRCUITPY</code> should appear in a few seconds.",
+    "manualCircuitPyWait.missing": "If it doesn't appear, the drive may have been renamed or disabled in " +
+        "<code>boot.py</code> on a previous install. You can still continue &mdash; CircuitPython is running on your board either way.",
+    "manualCircuitPyWait.next": "Click <strong>Next</strong> when you're ready to wrap up.",
+    "manualSuccess.title": "CircuitPython is installed!",
+    "manualSuccess.intro": "Your board should now be running CircuitPython. If it doesn't reboot automatically, press the RESET button once.",
+    "manualSuccess.wifi": "<strong>To set up WiFi:</strong> open the <code>CIRCUITPY</code> drive and create or edit a " +
+        "file called <code>settings.toml</code> in the root. Add lines like:",
+    "manualSuccess.editor": "Save the file, then press RESET on your board. Once the board reconnects to WiFi you can edit " +
+        "code in a browser via the <a href=\"https://code.circuitpython.org/\" target=\"_blank\" rel=\"noopener\">CircuitPython web code editor</a>.",
+    "bootDriveSelect.title": "Select the {drive} Drive",
+    "bootDriveSelect.reset": "<strong>Reset your board</strong> if you just installed the UF2 bootloader, by pressing the RESET button. " +
+        "If you already had the UF2 bootloader installed, you may need to double-click the RESET button to start up the UF2 bootloader.",
+    "bootDriveSelect.button": "Select {drive} Drive",
+    "bootDriveSelect.instructions": "Select the {drive} drive where the UF2 file will be copied.",
+    "bootDriveSelect.wrongDrive": "The selected drive named {drive} does not match the expected name of {expected}. Continue anyways?",
+    "circuitpyDriveSelect.title": "Select the CIRCUITPY Drive",
+    "circuitpyDriveSelect.button": "Select CIRCUITPY Drive",
+    "circuitpyDriveSelect.instructions": "Select the CIRCUITPY Drive. You may need to wait a few seconds for it to appear. " +
+        "If you don't see your CIRCUITPY drive, it may be disabled in boot.py or you may have previously renamed it.",
+    "circuitpyBackup.title": "Back Up Your CIRCUITPY Files?",
+    "circuitpyBackup.intro": "A full install erases everything on the {board}, including the code.py, libraries and other " +
+        "files on its CIRCUITPY drive. If it already runs CircuitPython, you can copy those files somewhere safe first " +
+        "and put them back once the install is done.",
+    "circuitpyBackup.toBrowser": "Back Up to Browser Storage",
+    "circuitpyBackup.toFolder": "Back Up to a Folder...",
+    "circuitpyBackup.instructions": "You'll be asked to select the CIRCUITPY drive first. " +
+        "Choose Skip if the board doesn't have CircuitPython on it yet.",
+    "circuitpyRestore.title": "Restore Your CIRCUITPY Files?",
+    "circuitpyRestore.intro": "Your backup from {backup} has {count} files ({size}KB) to copy back onto the new CIRCUITPY drive. " +
+        "boot_out.txt is skipped since CircuitPython writes a new one.",
+    "circuitpyRestore.conflicts": "These files are already on the new drive and will be replaced by the backed up copies:",
+    "circuitpyRestore.noConflicts": "None of these files are on the new drive yet.",
+    "circuitpyRestore.restore": "Restore Files",
+    "fileSelect.drop": "Drop a file here, or choose one:",
+    "fileSelect.selected": "Selected <code>{file}</code> ({size} bytes)",
+    "fileSelect.unsupported": "{file} isn't a supported file. Please pick a {types} file.",
+    "restoreImage.title": "Select a Backup File",
+    "restoreImage.instructions": "Choose the full flash backup (.bin) you want to write back to your board.",
+    "installFromFile.title": "Install from File",
+    "installFromFile.instructions": "Choose a CircuitPython <code>.bin</code> to flash over serial, " +
+        "a <code>.uf2</code> to copy onto the bootloader drive, or a TinyUF2 bootloader <code>.zip</code>.",
+    "confirmRestore.title": "Restore Firmware",
+    "confirmRestore.intro": "This will erase everything on your {chip} and replace it with <code>{file}</code> ({size} bytes).",
+    "confirmRestore.smallImage": "This file is smaller than the board's {flashSize} flash, so it may not be a full backup. " +
+        "Anything past the end of it will be left erased.",
+    "confirmRestore.sizeUnknown": "Unable to tell how much flash this board has, so this file couldn't be checked against it. " +
+        "Make sure it is a backup of this board.",
+    "confirmRestore.restore": "Erase and Restore",
+    "backupComplete.title": "Backup Complete",
+    "backupComplete.saved": "The contents of your board's flash have been saved as " +
+        "<a href=\"{url}\" download=\"{file}\">{file}</a>. If the download didn't start, click the link to save it.",
+    "backupComplete.instructions": "Keep this file somewhere safe. Click Next to continue with the install.",
+    "cpSerial.title": "Reconnect to serial",
+    "cpSerial.instructions": "Click this button to open the Web Serial connection menu. " +
+        "If it is already connected, you can press it again if you need to select a different port.",
+    "cpSerial.choosePort": "There may be several devices listed. If you aren't sure which to choose, " +
+        "look for one that includes the name of your microcontroller.",
+    "cpSerial.choosePortNamed": "There may be several devices listed, but look for one called something like {port}.",
+    "credentials.title": "Fill in settings.toml",
+    "credentials.intro": "This step will write your network credentials to the settings.toml file on CIRCUITPY. " +
+        "Make sure your board is running CircuitPython.",
+    "credentials.skip": "If you want to skip this step and fill in settings.toml later, just close this dialog.",
+    "credentials.ssid": "WiFi Network Name (SSID):",
+    "credentials.ssidPlaceholder": "WiFi SSID",
+    "credentials.password": "WiFi Password:",
+    "credentials.passwordPlaceholder": "WiFi Password",
+    "credentials.apiPassword": "Web Workflow API Password:",
+    "credentials.apiPasswordPlaceholder": "Web Workflow API Password",
+    "credentials.apiPort": "Web Workflow API Port:",
+    "credentials.apiPortPlaceholder": "Web Workflow API Port",
+    "credentials.disableDrive": "Disable CIRCUITPY Drive (Required for write access)",
+    "success.title": "Successfully Completed",
+    "success.reset": "If your device doesn't reboot automatically press the reset button once.",
+    "success.editFiles": "You can edit files by going to <a href=\"http://{ip}/code/\">http://{ip}/code/</a>.",
+    "integrityError.title": "Download failed verification",
+    "integrityError.intro": "The downloaded file <code>{file}</code> is not what was expected, so it has <strong>not</strong> " +
+        "been installed on your board. It may have been cut short or replaced by an error page.",
+    "integrityError.retry": "Please check your internet connection and try again. If this keeps happening, " +
+        "the file on the server may be damaged.",
+    "verifyFailed.title": "Flash verification failed",
+    "verifyFailed.intro": "<code>{file}</code> was written to your board, but reading it back didn't match, " +
+        "so the firmware on the board is probably damaged.",
+    "verifyFailed.cause": "This is usually caused by a flaky USB cable, hub or USB-serial adapter. " +
+        "Try plugging the board directly into your computer with a different cable, then retry.",
+    "progress.readingPartitions": "Reading the partition table...",
+    "progress.backingUpFlash": "Backing up the current firmware (be patient, this reads the entire flash)...",
+    "progress.resetting": "Resetting the board...",
+    "progress.resettingRepl": "Resetting the board and opening the REPL...",
+    "progress.copying": "Copying {file}...",
+    "progress.readingSettings": "Reading current settings from the board...",
+    "progress.waitingForBoard": "Waiting for the board to come back online...",
+    "progress.erasingPartition": "Erasing the {partition} partition...",
+    "progress.erasing": "Erasing Flash...",
+    "progress.backingUpCircuitpy": "Backing up CIRCUITPY to {backup}...",
+    "progress.restoringCircuitpy": "Restoring your files to CIRCUITPY...",
+    "progress.identifying": "Identifying your board...",
+    "progress.loadingCatalog": "Loading the board catalog...",
+    "progress.downloading": "Downloading {file}...",
+    "progress.extracting": "<p>Downloaded {file}</p><p>Extracting {extract}...</p>",
+    "progress.flashing": "<p>Downloaded {file}</p><p>Flashing (be patient; you will see pauses)...</p>",
+    "progress.flashingExtracted": "<p>Downloaded {file}</p><p>Extracted {extract}</p><p>Flashing (be patient; you will see pauses)...</p>",
+    "progress.flashingManifest": "<p>Flashing {firmware} ({count} parts, be patient; you will see pauses)...</p>",
+    "progress.verifying": "Verifying {file} (reading the flash back to check it)...",
+    "progress.downloadedCopying": "<p>Downloaded: {file}</p><p>Flashing...</p>",
+    "progress.writingSettings": "Writing settings to the board...",
+    "progress.retryingBaud": "That didn't work, so reconnecting at {baud} baud and trying again...",
+    "progress.waitingForIp": "Waiting for IP Address...",
+    "error.connectFailed": "Unable to open Serial connection to board. Make sure the port is not already in use by another " +
+        "application or in another browser tab. If installing the bootloader, make sure you are in ROM bootloader mode.",
+    "error.detectConnectFailed": "Unable to open Serial connection to board. Make sure the port is not already in use by another " +
+        "application or in another browser tab, and that the board is in ROM bootloader mode.",
+    "error.connectionLost": "Oops, we lost connection to your board before completing the install. Please check your USB " +
+        "connection and click Connect again. Refresh the browser if it becomes unresponsive.",
+    "error.wrongChip": "Oops, this is the wrong firmware for your board.",
+    "error.fsapiBootDrive": "Your browser doesn't support the FileSystem API, so this installer can't pick the bootloader " +
+        "drive automatically. Try Chrome, Edge, or Opera (version 89 or newer).",
+    "error.fsapiCircuitpyDrive": "Your browser doesn't support the FileSystem API, so this installer can't pick the CIRCUITPY " +
+        "drive automatically. Try Chrome, Edge, or Opera (version 89 or newer).",
+    "error.fsapiUf2": "Your browser doesn't support the FileSystem API, so this installer can't copy the UF2 file for you. " +
+        "Double-click RESET on your board and drag the file onto the bootloader drive instead.",
+    "error.wrongBootDrive": "The selected drive named {drive} does not match the expected name of {expected}.",
+    "error.notCircuitpyDrive": "Expecting a folder with boot_out.txt. Please select the root folder of your CIRCUITPY drive.",
+    "error.noDriveSelected": "No drive was selected: {reason}",
+    "error.folderNotWritable": "Unable to write to the selected folder",
+    "error.catalogUnavailable": "The list of supported boards could not be loaded. Check your internet connection and try again.",
+    "error.catalogNoBoards": "None of the boards this installer is set up for are in the board catalog.",
+    "error.catalogLoading": "The list of supported boards is still loading. Please try again in a moment.",
+    "error.fsapiUnsupported": "This browser doesn't support the FileSystem API",
+    "error.notConnectedToCircuitpy": "Connect to the CIRCUITPY drive or the REPL first",
+    "error.backupFailed": "Unable to back up the current firmware. Nothing has been erased. " +
+        "Please try again, or uncheck the backup option to continue without one.",
+    "error.backupNotErased": "Nothing has been erased. Uncheck the backup option to continue without one.",
+    "error.noRestoreFile": "No backup file selected. Go back and select one first.",
+    "error.restoreImageTooBig": "{file} is {size} bytes, which is too big for this board's {flashSize} flash. " +
+        "Make sure you picked a backup of this board.",
+    "error.noBootDrive": "No boot drive selected. Go back and select the BOOT drive first.",
+    "error.missingBinUrl": "Missing bin file URL. Please make sure the installer button has this specified.",
+    "error.missingBootloaderUrl": "Missing bootloader file URL. Please make sure the installer button has this specified.",
+    "error.readCircuitpyBackup": "Unable to read the CIRCUITPY backup: {error}",
+    "error.partitionTableUnreadable": "Unable to read the partition table, so there are no files to keep: {error}",
+    "error.binUnavailable": "The .bin install option isn't available for this board.",
+    "error.manifestUnavailable": "Unable to load the firmware manifest from {url}.",
+    "error.manifestNoBuild": "The firmware manifest doesn't have a build for {chip}.",
+    "error.eraseFailed": "Unable to finish erasing Flash memory. Please try again.",
+    "error.backupLocation": "Unable to open the backup location: {error}",
+    "error.backupPartial": "Unable to back up {failed} of {total} files: {files}",
+    "error.backupCircuitpy": "Unable to back up CIRCUITPY: {error}",
+    "error.restorePartial": "Unable to restore {count} files: {files}\n\nThey are still in your backup in {backup}.",
+    "error.noSerialPort": "No serial port was selected",
+    "error.serialPortBusy": "Error. Unable to open Serial Port. Make sure it isn't already in use in another tab or application.",
+    "error.serialWrite": "Unable to send data to the board: {error}",
+    "error.downloadFailed": "Unable to download file: {url}",
+    "error.downloadFailedStatus": "Unable to download file: {url} (HTTP {status})",
+    "error.downloadIncomplete": "Download of {url} was incomplete. Received {received} of {total} bytes.",
+    "error.fileNotInZip": "Unable to find {file} in {zip}",
+    "error.verifyMismatch": "The data read back from {files} didn't match what was written.",
+    "error.flashFailed": "Unable to flash file: {files}. Error Message: {error}",
+    "error.noDriveHandle": "No drive handle available",
+    "circuitpyBackup.browserStorage": "browser storage",
+    "circuitpyBackup.folder": "the {folder} folder",
+    "advanced.title": "Advanced Settings",
+    "advanced.intro": "These are saved in this browser and used for every install. " +
+        "The defaults work for almost every board, so only change them if you know you need to.",
+    "advanced.baudRate": "Baud rate",
+    "advanced.unreliableBaudRate": "{rate} (may be unreliable)",
+    "advanced.baudRateHint": "The installer drops to a lower rate by itself if the connection is unreliable.",
+    "advanced.flashMode": "Flash mode",
+    "advanced.flashFreq": "Flash frequency",
+    "advanced.flashSize": "Flash size",
+    "advanced.keep": "Keep (use the firmware's setting)",
+    "advanced.detect": "Detect",
+    "advanced.flashHint": "Setting a mode or frequency the board's flash chip doesn't support will stop it from booting. " +
+        "A flash size bigger than the one detected is ignored.",
+    "advanced.erase": "Erase before installing",
+    "advanced.eraseAll": "Everything",
+    "advanced.eraseFirmware": "Only the firmware (keep my files)",
+    "advanced.eraseNone": "Nothing",
+    "advanced.reset": "Reset to Defaults",
+    "advanced.save": "Save",
+});
 
 const attrMap = {
     "bootloader": "bootloaderUrl",
     "uf2file": "uf2FileUrl",
-    "binfile": "binFileUrl"
+    "binfile": "binFileUrl",
+    "manifest": "manifestUrl",
 }
 
 export class CPInstallButton extends InstallButton {
@@ -43,8 +450,15 @@ export class CPInstallButton extends InstallButton {
         this.selectedBoardId = null;
         this.bootloaderUrl = null;
         this.boardDefs = null;
+        // Added with addBoardDefs(), kept over reloads of the catalog
+        this.pageBoardDefs = {};
         this.uf2FileUrl = null;
         this.binFileUrl = null;
+        this.manifestUrl = null;
+        this.manifest = null;
+        this.partitionTable = null;
+        this.eraseRegions = null;
+        this.circuitpyBackup = null;
         this.releaseVersion = 0;
         this.chipFamily = null;
         this.dialogCssClass = CSS_DIALOG_CLASS;
@@ -55,10 +469,16 @@ export class CPInstallButton extends InstallButton {
         this._serialPortName = null;
         this.replSerialDevice = null;
         this.repl = null;
-        this.fileCache = [];
+        this.fileCache = new FirmwareCache(FIRMWARE_CACHE_NAME, FIRMWARE_CACHE_LIMIT, FIRMWARE_CACHE_MAX_AGE);
         this.reader = null;
         this.writer = null;
         this.tomlSettings = null;
+        this.catalogError = null;
+        // Expected {sha256, size, files} from the board catalog keyed by URL
+        this.artifactIntegrity = {};
+        // Board, release and flow picked by a link to the page, see loadDeepLink()
+        this.deepLink = null;
+        this.advancedSettings = this.loadAdvancedSettings();
         this.init();
     }
 
@@ -66,54 +486,144 @@ export class CPInstallButton extends InstallButton {
         return Object.keys(attrMap);
     }
 
+    // Parse a semver style version. Prerelease identifiers are split on
+    // "." only, so "alpha-1" is a single identifier as in semver. Build
+    // metadata after a "+" is kept but, as in semver, doesn't affect
+    // ordering. Returns an empty object if the version can't be parsed.
     parseVersion(version) {
-        const versionRegex = /(\d+)\.(\d+)\.(\d+)(?:-([a-z]+)\.(\d+))?/;
+        const versionRegex = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+([0-9A-Za-z.-]+))?$/;
         const versionInfo = {};
-        let matches = version.match(versionRegex);
-        if (matches && matches.length >= 4) {
-            versionInfo.major = matches[1];
-            versionInfo.minor = matches[2];
-            versionInfo.patch = matches[3];
-            if (matches[4] && matches[5]) {
-                versionInfo.suffix = matches[4];
-                versionInfo.suffixVersion = matches[5];
-            } else {
-                versionInfo.suffix = "stable";
-                versionInfo.suffixVersion = 0;
-            }
+        let matches = String(version).trim().match(versionRegex);
+        if (matches) {
+            versionInfo.major = parseInt(matches[1]);
+            versionInfo.minor = parseInt(matches[2]);
+            versionInfo.patch = parseInt(matches[3]);
+            versionInfo.prerelease = matches[4]
+                ? matches[4].split(".").filter((identifier) => identifier.length)
+                : [];
+            versionInfo.build = matches[5] || null;
         }
         return versionInfo;
     }
 
-    sortReleases(releases) {
-        // Return a sorted list of releases by parsed version number
-        const sortHieratchy = ["major", "minor", "patch", "suffix", "suffixVersion"];
-        releases.sort((a, b) => {
-            const aVersionInfo = this.parseVersion(a.version);
-            const bVersionInfo = this.parseVersion(b.version);
-            for (let sortKey of sortHieratchy) {
-                if (aVersionInfo[sortKey] < bVersionInfo[sortKey]) {
-                    return -1;
-                } else if (aVersionInfo[sortKey] > bVersionInfo[sortKey]) {
-                    return 1;
+    // "stable" or "prerelease". Versions that can't be parsed count as
+    // prereleases so they're never picked as the default.
+    classifyVersion(version) {
+        const versionInfo = this.parseVersion(version);
+        if (versionInfo.major === undefined || versionInfo.prerelease.length) {
+            return "prerelease";
+        }
+        return "stable";
+    }
+
+    // Returns a negative number if version a is older than b, positive if
+    // newer and 0 if they're the same release
+    compareVersions(a, b) {
+        const aVersionInfo = this.parseVersion(a);
+        const bVersionInfo = this.parseVersion(b);
+
+        // Unparseable versions sort before everything else
+        if (aVersionInfo.major === undefined || bVersionInfo.major === undefined) {
+            if (aVersionInfo.major !== undefined) {
+                return 1;
+            }
+            if (bVersionInfo.major !== undefined) {
+                return -1;
+            }
+            return String(a).localeCompare(String(b));
+        }
+
+        for (let key of ["major", "minor", "patch"]) {
+            if (aVersionInfo[key] != bVersionInfo[key]) {
+                return aVersionInfo[key] - bVersionInfo[key];
+            }
+        }
+
+        // A final release is newer than any of its prereleases
+        const aPrerelease = aVersionInfo.prerelease;
+        const bPrerelease = bVersionInfo.prerelease;
+        if (!aPrerelease.length || !bPrerelease.length) {
+            return bPrerelease.length - aPrerelease.length;
+        }
+
+        for (let i = 0; i < Math.min(aPrerelease.length, bPrerelease.length); i++) {
+            const aIdentifier = aPrerelease[i];
+            const bIdentifier = bPrerelease[i];
+            const aNumeric = /^\d+$/.test(aIdentifier);
+            const bNumeric = /^\d+$/.test(bIdentifier);
+            if (aNumeric && bNumeric) {
+                if (parseInt(aIdentifier) != parseInt(bIdentifier)) {
+                    return parseInt(aIdentifier) - parseInt(bIdentifier);
                 }
+            } else if (aNumeric != bNumeric) {
+                // Numeric identifiers sort before alphanumeric ones
+                return aNumeric ? -1 : 1;
+            } else if (aIdentifier != bIdentifier) {
+                // Alphanumeric identifiers compare in ASCII order, which
+                // also puts alpha < beta < rc
+                return aIdentifier < bIdentifier ? -1 : 1;
             }
-            return 0;
-        });
+        }
+        // More identifiers means newer if everything before them matched
+        return aPrerelease.length - bPrerelease.length;
+    }
+
+    sortReleases(releases) {
+        // Return a list of releases sorted oldest to newest
+        releases.sort((a, b) => this.compareVersions(a.version, b.version));
 
         return releases;
     }
 
     async connectedCallback() {
-        // Load the Board Definitions before the button is ever clicked
-        const response = await fetch(BOARD_DEFS);
-        this.boardDefs = await response.json();
+        // Load the Board Definitions before the button is ever clicked. If
+        // this fails the button still gets hooked up so that clicking it
+        // explains the problem and offers a retry.
+        await this.loadCatalog();
+
+        // If not provided, it will use the stable release if DEFAULT_RELEASE_LATEST is false
+        if (this.getAttribute("version")) {
+            this.releaseVersion = this.getAttribute("version");
+        }
+
+        super.connectedCallback();
+        await this.loadDeepLink();
+    }
+
+    // Load and validate the board catalog and work out which boards this
+    // button offers. Returns false and sets catalogError (rather than
+    // throwing) if there's nothing usable.
+    async loadCatalog() {
+        this.catalogError = null;
+        try {
+            const boardDefs = this.validateBoardDefs(await this.loadBoardDefs());
+            this.boardDefs = this.mergeBoardDefs(boardDefs, this.pageBoardDefs);
+        } catch (err) {
+            this.logMsg(`Unable to load the board catalog: ${err}`);
+            this.boardDefs = {...this.pageBoardDefs};
+            this.boardIds = [];
+            this.catalogError = this.t("error.catalogUnavailable");
+            return false;
+        }
 
         let boardIds = this.getAttribute("boardid")
         if (!boardIds || boardIds.trim().length === 0) {
             this.boardIds = Object.keys(this.boardDefs);
         } else {
-            this.boardIds = boardIds.split(",");
+            this.boardIds = [];
+            for (let boardId of boardIds.split(",")) {
+                boardId = boardId.trim();
+                if (boardId in this.boardDefs) {
+                    this.boardIds.push(boardId);
+                } else {
+                    this.logMsg(`Board ${boardId} is not in the board catalog, skipping.`);
+                }
+            }
+        }
+
+        if (this.boardIds.length === 0) {
+            this.catalogError = this.t("error.catalogNoBoards");
+            return false;
         }
 
         // If there is only one board id, then select it by default
@@ -121,12 +631,259 @@ export class CPInstallButton extends InstallButton {
             this.selectedBoardId = this.boardIds[0];
         }
 
-        // If not provided, it will use the stable release if DEFAULT_RELEASE_LATEST is false
-        if (this.getAttribute("version")) {
-            this.releaseVersion = this.getAttribute("version");
+        return true;
+    }
+
+    // Drop any board entries that would break the installer later on,
+    // logging why so custom catalogs can be fixed.
+    validateBoardDefs(boardDefs) {
+        if (!boardDefs || typeof boardDefs !== "object" || Array.isArray(boardDefs)) {
+            throw new Error("Board catalog is not a JSON object");
         }
 
-        super.connectedCallback();
+        const validBoardDefs = {};
+        for (const [boardId, boardDef] of Object.entries(boardDefs)) {
+            const problems = this.validateBoardDef(boardDef);
+            if (problems.length) {
+                this.logMsg(`Ignoring invalid board definition ${boardId}: ${problems.join("; ")}`);
+                continue;
+            }
+            validBoardDefs[boardId] = boardDef;
+        }
+
+        if (Object.keys(validBoardDefs).length === 0) {
+            throw new Error("Board catalog has no valid boards");
+        }
+        return validBoardDefs;
+    }
+
+    // Returns a list of problems with a single board entry (empty if valid)
+    validateBoardDef(boardDef) {
+        const problems = [];
+        const isUrl = (value) => {
+            try {
+                return ["http:", "https:"].includes(new URL(value, location.href).protocol);
+            } catch (err) {
+                return false;
+            }
+        };
+        // Files can either be a plain URL or {url, sha256, size, files}
+        const isArtifact = (value) => {
+            if (typeof value === "string") {
+                return isUrl(value);
+            }
+            return !!value && typeof value === "object" && isUrl(value.url)
+                && (!("sha256" in value) || /^[0-9a-f]{64}$/i.test(value.sha256))
+                && (!("size" in value) || Number.isInteger(value.size));
+        };
+
+        if (!boardDef || typeof boardDef !== "object") {
+            return ["not an object"];
+        }
+        if (typeof boardDef.chipfamily !== "string" || !boardDef.chipfamily) {
+            problems.push("missing chipfamily");
+        }
+        for (const key of ["name", "flashsize", "psramsize"]) {
+            if (key in boardDef && typeof boardDef[key] !== "string") {
+                problems.push(`${key} is not a string`);
+            }
+        }
+        if ("bootloader" in boardDef && !isArtifact(boardDef.bootloader)) {
+            problems.push("bootloader is not a valid URL");
+        }
+        if (!Array.isArray(boardDef.releases)) {
+            problems.push("releases is not a list");
+        } else {
+            for (const release of boardDef.releases) {
+                if (!release || typeof release.version !== "string") {
+                    problems.push("release is missing a version");
+                    continue;
+                }
+                for (const key of ["uf2file", "binfile"]) {
+                    if (key in release && !isArtifact(release[key])) {
+                        problems.push(`${key} for ${release.version} is not a valid URL`);
+                    }
+                }
+            }
+        }
+        return problems;
+    }
+
+    // The board catalog comes from the "boarddefs" attribute if present,
+    // otherwise from the official catalog. Either one may be a URL or a
+    // "#id" reference to an inline <script type="application/json"> element
+    // on the page. Anything in "extraboarddefs" is then merged on top, so
+    // private/prototype boards can be added to the official list and local
+    // definitions win over official ones with the same board id.
+    async loadBoardDefs() {
+        const boardDefs = await this.fetchBoardDefs(this.getAttribute("boarddefs") || BOARD_DEFS);
+
+        const extraSource = this.getAttribute("extraboarddefs");
+        if (extraSource) {
+            this.mergeBoardDefs(boardDefs, await this.fetchBoardDefs(extraSource));
+        }
+
+        return boardDefs;
+    }
+
+    async fetchBoardDefs(source) {
+        source = source.trim();
+        if (source.startsWith("#")) {
+            const element = document.querySelector(source);
+            if (!element) {
+                throw new Error(`Board definitions element ${source} not found`);
+            }
+            return JSON.parse(element.textContent);
+        }
+
+        // Retry with backoff since a flaky connection is the most likely
+        // reason for this to fail
+        let delay = CATALOG_RETRY_DELAY;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} fetching ${source}`);
+                }
+                return await response.json();
+            } catch (err) {
+                if (attempt >= CATALOG_FETCH_ATTEMPTS) {
+                    throw err;
+                }
+                this.logMsg(`Board catalog fetch attempt ${attempt} failed (${err}), retrying...`);
+                await this.sleep(delay);
+                delay *= 2;
+            }
+        }
+    }
+
+    mergeBoardDefs(boardDefs, extraBoardDefs) {
+        for (const [boardId, boardDef] of Object.entries(extraBoardDefs)) {
+            if (boardId in boardDefs) {
+                this.logMsg(`Using local board definition for ${boardId}`);
+            }
+            boardDefs[boardId] = boardDef;
+        }
+        return boardDefs;
+    }
+
+    // Merge board definitions in from page script, e.g. for boards that are
+    // generated on the fly. Can be called before or after the catalog loads.
+    addBoardDefs(extraBoardDefs) {
+        if (!this.boardDefs) {
+            this.boardDefs = {};
+        }
+        const boardDefs = this.validateBoardDefs(extraBoardDefs);
+        Object.assign(this.pageBoardDefs, boardDefs);
+        this.mergeBoardDefs(this.boardDefs, boardDefs);
+        if (this.boardIds && !this.getAttribute("boardid")) {
+            this.boardIds = Object.keys(this.boardDefs);
+        }
+    }
+
+    // Install without the wizard, e.g. from a test fixture:
+    //     await button.install({boardId: "adafruit_feather_esp32s3", flow: "uf2FullProgram"})
+    // Options:
+    //     boardId   one of the boards this button offers
+    //     version   CircuitPython version, defaults to the one the menu would use
+    //     flow      flow id, defaults to the first available flow that can run headless
+    //     settings  values to write to settings.toml, e.g. {CIRCUITPY_WIFI_SSID: "lab"}
+    //     erase     "all", "firmware" to keep the filesystem (and NVS unless
+    //               keepNvs is false) or "none". Defaults to the Advanced setting.
+    //     backup    true to read a full flash backup first, returned as result.backup
+    //     port      an already permitted SerialPort to use instead of asking
+    //     bootDrive, circuitpyDrive
+    //               FileSystemDirectoryHandle for the drive, or an async
+    //               function returning one. The folder picker can't be
+    //               opened this long after the click that started the
+    //               install, so flows that copy to a drive need these.
+    // Resolves with the install-complete result or rejects with an InstallError,
+    // which is also sent with install-error.
+    async install(options = {}) {
+        let flowId;
+        try {
+            flowId = await this.selectHeadlessFlow(options);
+        } catch (err) {
+            throw this.headlessFailure(err, options.flow || null);
+        }
+        return await this.runHeadless(flowId, options);
+    }
+
+    // Check install()'s options and switch to the board and release they
+    // name, returning the id of the flow to run
+    async selectHeadlessFlow(options) {
+        // Checked before switching boards under the install that's running
+        if (this.headless) {
+            throw new InstallError("An install is already running", "busy");
+        }
+        if (!this.boardIds) {
+            throw new InstallError(this.catalogError || "The board catalog hasn't loaded yet", "catalog-unavailable");
+        }
+        const boardId = options.boardId || this.selectedBoardId;
+        if (!this.boardIds.includes(boardId)) {
+            throw new InstallError(`Unknown board ${boardId}`, "unknown-board");
+        }
+        const releases = this.boardDefs[boardId].releases || [];
+        if (options.version && !releases.some((release) => release.version == options.version)) {
+            throw new InstallError(`CircuitPython ${options.version} isn't available for ${boardId}`, "unknown-version");
+        }
+        if (options.flow) {
+            if (!(options.flow in this.flows)) {
+                throw new InstallError(`There is no flow named ${options.flow}`, "flow-unavailable");
+            }
+            const missingDrive = this.missingHeadlessDrive(this.flows[options.flow], options);
+            if (missingDrive) {
+                throw new InstallError(`${options.flow} needs the ${missingDrive} option`, "drive-required");
+            }
+        }
+
+        // Whether a flow is available depends on the board and release, so
+        // switch to them, and back again if there's nothing to install
+        const previous = {boardId: this.selectedBoardId, version: this.releaseVersion};
+        this.selectedBoardId = boardId;
+        if (options.version) {
+            this.releaseVersion = options.version;
+        }
+        await this.loadBoard(boardId);
+
+        let flowId = options.flow;
+        if (flowId) {
+            if (!await this.flows[flowId].isEnabled()) {
+                flowId = null;
+            }
+        } else {
+            for (const [id, flow] of Object.entries(this.flows)) {
+                const steps = FlowRun.resolveSteps(flow.steps);
+                if (await flow.isEnabled() && steps.every((step) => step.name in this.headlessSteps)
+                    && !this.missingHeadlessDrive(flow, options)) {
+                    flowId = id;
+                    break;
+                }
+            }
+        }
+        if (!flowId) {
+            this.selectedBoardId = previous.boardId;
+            this.releaseVersion = previous.version;
+            if (previous.boardId) {
+                await this.loadBoard(previous.boardId);
+            }
+            throw new InstallError(options.flow
+                ? `${options.flow} isn't available for ${boardId}`
+                : `Nothing can be installed on ${boardId} without the wizard`, "flow-unavailable");
+        }
+        return flowId;
+    }
+
+    // The install() option a flow needs for picking a drive, if it wasn't given
+    missingHeadlessDrive(flow, options) {
+        const steps = FlowRun.resolveSteps(flow.steps).map((step) => step.name);
+        if (steps.includes("stepSelectBootDrive") && !options.bootDrive) {
+            return "bootDrive";
+        }
+        if (steps.includes("stepSelectCpyDrive") && !options.circuitpyDrive) {
+            return "circuitpyDrive";
+        }
+        return null;
     }
 
     async loadBoard(boardId) {
@@ -140,33 +897,19 @@ export class CPInstallButton extends InstallButton {
                this.boardName = boardDef.name;
            }
            if (boardDef.bootloader) {
-               this.bootloaderUrl = this.updateBinaryUrl(boardDef.bootloader);
+               this.bootloaderUrl = this.loadArtifact(boardDef.bootloader);
            }
            const sortedReleases = this.sortReleases(boardDef.releases);
 
            if (this.releaseVersion) {  // User specified a release
-               for (let release of sortedReleases) {
-                   if (release.version == this.releaseVersion) {
-                       releaseInfo = release;
-                       break;
-                   }
-               }
+               releaseInfo = sortedReleases.find((release) => release.version == this.releaseVersion) || null;
            }
 
            if (!releaseInfo) { // Release version not found or not specified
-               if (DEFAULT_RELEASE_LATEST) {
-                   releaseInfo = sortedReleases[sortedReleases.length - 1];
-               } else {
-                   releaseInfo = sortedReleases[0];
-               }
-               this.releaseVersion = releaseInfo.version;
-           }
-           if (releaseInfo.uf2file && !this.uf2FileUrl) {
-               this.uf2FileUrl = this.updateBinaryUrl(releaseInfo.uf2file);
-           }
-           if (releaseInfo.binfile && !this.binFileUrl) {
-               this.binFileUrl = this.updateBinaryUrl(releaseInfo.binfile);
+               releaseInfo = this.getDefaultRelease(sortedReleases);
            }
+           // A board without releases can still offer the bootloader-only flow
+           this.applyRelease(releaseInfo);
        }
 
        // Nice to have for now
@@ -177,11 +920,104 @@ export class CPInstallButton extends InstallButton {
        if (this.getAttribute("boardname")) {
            this.boardName = this.getAttribute("boardname");
        }
-       this.menuTitle = `CircuitPython Installer for ${this.boardName}`;
+       this.menuTitle = "menu.circuitpythonTitle";
+    }
+
+    // The newest stable release, or the newest release of all if
+    // DEFAULT_RELEASE_LATEST is set or the board has no stable releases.
+    // Expects releases sorted oldest to newest.
+    getDefaultRelease(sortedReleases) {
+        const stableReleases = sortedReleases.filter((release) => this.classifyVersion(release.version) == "stable");
+        if (!DEFAULT_RELEASE_LATEST && stableReleases.length) {
+            return stableReleases[stableReleases.length - 1];
+        }
+        return sortedReleases.length ? sortedReleases[sortedReleases.length - 1] : null;
+    }
+
+    // Use the files from a release unless the page specified its own with
+    // the uf2file/binfile attributes
+    applyRelease(releaseInfo) {
+        this.releaseInfo = releaseInfo;
+        if (releaseInfo) {
+            this.releaseVersion = releaseInfo.version;
+        }
+        for (const [attribute, classVar] of [["uf2file", "uf2FileUrl"], ["binfile", "binFileUrl"]]) {
+            if (this.getAttribute(attribute)) {
+                continue;
+            }
+            this[classVar] = releaseInfo && releaseInfo[attribute] ? this.loadArtifact(releaseInfo[attribute]) : null;
+        }
+    }
+
+    // Group the selected board's releases for the version picker. Stable is
+    // the newest stable release, Beta/RC anything newer than that, and
+    // Older everything else. Each group is listed newest first.
+    getReleaseGroups() {
+        const boardDef = this.boardDefs[this.selectedBoardId];
+        if (!boardDef) {
+            return [];
+        }
+        const newestFirst = this.sortReleases(boardDef.releases.slice()).reverse();
+        const latestStable = newestFirst.find((release) => this.classifyVersion(release.version) == "stable");
+        const latestStableIndex = latestStable ? newestFirst.indexOf(latestStable) : newestFirst.length;
+        const groups = [
+            {label: this.t("version.stable"), releases: latestStable ? [latestStable] : []},
+            {label: this.t("version.prerelease"), releases: newestFirst.slice(0, latestStableIndex)},
+            {label: this.t("version.older"), releases: newestFirst.slice(latestStableIndex + 1)},
+        ];
+        return groups.filter((group) => group.releases.length);
+    }
+
+    menuOptionsTemplate() {
+        const releaseGroups = this.getReleaseGroups();
+        if (releaseGroups.reduce((count, group) => count + group.releases.length, 0) < 2) {
+            return '';
+        }
+        return html`
+            <p>
+                <label for="releaseVersion">${this.t("version.label")}</label>
+                <select id="releaseVersion" @change=${this.selectReleaseHandler.bind(this)}>
+                    ${map(releaseGroups, (group) => html`
+                        <optgroup label="${group.label}">
+                            ${map(group.releases, (release) => html`<option value="${release.version}" ?selected=${release.version == this.releaseVersion}>${release.version}</option>`)}
+                        </optgroup>
+                    `)}
+                </select>
+            </p>
+        `;
+    }
+
+    async selectReleaseHandler(e) {
+        const boardDef = this.boardDefs[this.selectedBoardId];
+        const releaseInfo = boardDef.releases.find((release) => release.version == e.target.value);
+        if (releaseInfo) {
+            this.applyRelease(releaseInfo);
+            this.logMsg(`Selected CircuitPython ${releaseInfo.version}`);
+            // Show the menu again so the flow labels pick up the new version
+            await this.showMenu();
+        }
+    }
+
+    // Returns the URL for a catalog file entry and remembers any integrity
+    // info that came with it for when the file is downloaded
+    loadArtifact(artifact) {
+        if (typeof artifact === "string") {
+            return this.updateBinaryUrl(artifact);
+        }
+        const url = this.updateBinaryUrl(artifact.url);
+        this.artifactIntegrity[url] = {
+            sha256: artifact.sha256,
+            size: artifact.size,
+            files: artifact.files || {},
+        };
+        return url;
     }
 
     attributeChangedCallback(attribute, previousValue, currentValue) {
         const classVar = attrMap[attribute];
+        if (attribute == "manifest") {
+            this.manifest = null;
+        }
         this[classVar] = currentValue ? this.updateBinaryUrl(currentValue) : null;
     }
 
@@ -195,28 +1031,37 @@ export class CPInstallButton extends InstallButton {
         return url;
     }
 
-    // These are a series of the valid steps that should be part of a program flow
-    // Some steps currently need to be grouped together
+    // These are a series of the valid steps that should be part of a program flow.
+    // Steps that only work together, like picking the boot drive and then
+    // copying the UF2 onto it, are grouped with stepGroup().
     flows = {
         uf2FullProgram: {  // Native USB Install
-            label: `Full CircuitPython [version] Install`,
+            label: "flow.fullInstall",
             // stepFsapiCheck sits right after the welcome dialog so the
             // user sees the normal welcome first, then immediately gets
             // the "your browser can't finish automatically" dialog if
             // they're on Firefox. The "Continue Manually" path swaps
             // the drive-picker tail of this flow for the manual
             // variants via continueManuallyHandler. (Issue #24)
-            steps: [this.stepWelcome, this.stepFsapiCheck, this.stepSerialConnect, this.stepConfirm, this.stepEraseAll, this.stepBootloader, this.stepSelectBootDrive, this.stepCopyUf2, this.stepSelectCpyDrive, this.stepCredentials, this.stepSuccess],
+            // stepBackupCircuitpy needs the FileSystem API too, so it
+            // comes after the check and is dropped by the manual path.
+            steps: [
+                this.stepWelcome, this.stepFsapiCheck, this.stepBackupCircuitpy, this.stepSerialConnect,
+                this.stepConfirm, this.stepBackupFlash, this.stepEraseAll, this.stepBootloader,
+                stepGroup("copyUf2", this.stepSelectBootDrive, this.stepCopyUf2),
+                stepGroup("restoreCircuitpy", this.stepSelectCpyDrive, this.stepRestoreCircuitpy),
+                this.stepCredentials, this.stepSuccess,
+            ],
             isEnabled: async () => { return this.hasNativeUsb() && !!this.bootloaderUrl && !!this.uf2FileUrl },
         },
         binFullProgram: {  // Non-native USB Install (Once we have boot drive disable working, we can remove hasNativeUsb() check)
-            label: `Full CircuitPython [version] Install`,
-            steps: [this.stepWelcome, this.stepSerialConnect, this.stepConfirm, this.stepEraseAll, this.stepFlashBin, this.stepSetupRepl, this.stepCredentials, this.stepSuccess],
+            label: "flow.fullInstall",
+            steps: [this.stepWelcome, this.stepSerialConnect, this.stepConfirm, this.stepBackupFlash, this.stepEraseAll, this.stepFlashBin, this.stepSetupRepl, this.stepCredentials, this.stepSuccess],
             isEnabled: async () => { return !this.hasNativeUsb() && !!this.binFileUrl },
         },
         uf2Only: { // Upgrade when Bootloader is already installer
-            label: `Install CircuitPython [version] UF2 Only`,
-            steps: [this.stepWelcome, this.stepSelectBootDrive, this.stepCopyUf2, this.stepSelectCpyDrive, this.stepCredentials, this.stepSuccess],
+            label: "flow.uf2Only",
+            steps: [this.stepWelcome, stepGroup("copyUf2", this.stepSelectBootDrive, this.stepCopyUf2), this.stepSelectCpyDrive, this.stepCredentials, this.stepSuccess],
             // Every step in this flow needs the File System Access API:
             // we never flash anything ourselves, we just pick the BOOT
             // drive, copy the UF2 onto it, then pick CIRCUITPY and write
@@ -227,22 +1072,54 @@ export class CPInstallButton extends InstallButton {
             isEnabled: async () => { return this.hasNativeUsb() && !!this.uf2FileUrl && this.hasFileSystemAccess },
         },
         binOnly: {
-            label: `Install CircuitPython [version] Bin Only`,
+            label: "flow.binOnly",
             steps: [this.stepWelcome, this.stepSerialConnect, this.stepConfirm, this.stepEraseAll, this.stepFlashBin, this.stepSuccess],
             isEnabled: async () => { return !!this.binFileUrl },
         },
         bootloaderOnly: { // Used to allow UF2 Upgrade/Install
-            label: "Install Bootloader Only",
+            label: "flow.bootloaderOnly",
             steps: [this.stepWelcome, this.stepSerialConnect, this.stepConfirm, this.stepEraseAll, this.stepBootloader, this.stepSuccess],
             isEnabled: async () => { return this.hasNativeUsb() && !!this.bootloaderUrl },
         },
+        manifestProgram: {  // Multi-part firmware described by an esp-web-tools style manifest.json
+            label: "flow.manifest",
+            steps: [this.stepWelcome, this.stepSerialConnect, this.stepConfirm, this.stepEraseAll, this.stepFlashManifest, this.stepSuccess],
+            isEnabled: async () => { return !!this.manifestUrl },
+        },
+        restoreBackup: { // Write a full flash image (e.g. from stepBackupFlash) back to the board
+            label: "flow.restoreBackup",
+            steps: [this.stepSelectRestoreImage, this.stepSerialConnect, this.stepConfirmRestore, this.stepEraseAll, this.stepFlashRestoreImage, this.stepSuccess],
+            isEnabled: async () => { return true },
+            resumable: false,
+        },
+        // These install a file the user picked with "Install from File..."
+        // and are started by installFromFileHandler, not from the menu. The
+        // file is gone after a reload, so they can't be resumed.
+        localBinProgram: {
+            label: "flow.localBin",
+            steps: [this.stepSerialConnect, this.stepConfirm, this.stepEraseAll, this.stepFlashLocalFile, this.stepSuccess],
+            isEnabled: async () => { return false },
+            resumable: false,
+        },
+        localBootloaderProgram: {  // A tinyuf2 zip
+            label: "flow.localBootloader",
+            steps: [this.stepSerialConnect, this.stepConfirm, this.stepEraseAll, this.stepFlashLocalFile, this.stepSuccess],
+            isEnabled: async () => { return false },
+            resumable: false,
+        },
+        localUf2Program: {
+            label: "flow.localUf2",
+            steps: [stepGroup("copyUf2", this.stepSelectBootDrive, this.stepCopyLocalUf2), this.stepSuccess],
+            isEnabled: async () => { return false },
+            resumable: false,
+        },
         credentialsOnlyRepl: { // Update via REPL
-            label: "Update WiFi credentials",
+            label: "flow.credentials",
             steps: [this.stepWelcome, this.stepSetupRepl, this.stepCredentials, this.stepSuccess],
             isEnabled: async () => { return !this.hasNativeUsb() },
         },
         credentialsOnlyDrive: { // Update via CIRCUITPY Drive
-            label: "Update WiFi credentials",
+            label: "flow.credentials",
             steps: [this.stepWelcome, this.stepSelectCpyDrive, this.stepCredentials, this.stepSuccess],
             // Drive-based credential update needs to pick the CIRCUITPY
             // drive and write settings.toml. With no FSAPI we can't do
@@ -254,91 +1131,168 @@ export class CPInstallButton extends InstallButton {
         }
     }
 
+    // Used by install(). See runHeadless() in InstallButton.
+    headlessSteps = {
+        stepWelcome: async () => {},
+        stepConfirm: async () => {},
+        // Nothing to back up CIRCUITPY to or restore it from without the user
+        stepBackupCircuitpy: async () => {},
+        stepRestoreCircuitpy: async () => {},
+        stepFsapiCheck: async () => {
+            if (!this.hasFileSystemAccess) {
+                throw new InstallError(this.t("error.fsapiUnsupported"), "fsapi-unavailable");
+            }
+        },
+        stepSerialConnect: async (options) => {
+            // espConnect() opens a Transport for the port as it would for
+            // one the user picked
+            await this.connectToChip(options.port);
+        },
+        stepBackupFlash: async (options) => {
+            if (options.backup) {
+                return {backup: await this.readFlashBackup((received, total) => {
+                    this.updateProgress("backup", received, total);
+                })};
+            }
+        },
+        stepEraseAll: this.headlessEraseAll,
+        stepBootloader: async () => {
+            await this.downloadAndInstall(this.bootloaderUrl, 'combined.bin');
+            // Start TinyUF2 rather than waiting for someone to press RESET
+            await this.espHardReset();
+        },
+        stepFlashBin: async () => {
+            await this.downloadAndInstall(this.binFileUrl);
+            await this.espHardReset();
+        },
+        stepFlashManifest: async () => {
+            await this.flashManifestBuild(await this.findManifestBuild());
+            await this.espHardReset();
+        },
+        stepSelectBootDrive: async (options) => {
+            const bootloaderVolume = await this.getBootDriveName();
+            const dirHandle = await this.headlessDrive(options.bootDrive);
+            if (bootloaderVolume && bootloaderVolume != dirHandle.name) {
+                throw new InstallError(this.t("error.wrongBootDrive", {drive: dirHandle.name, expected: bootloaderVolume}), "wrong-drive");
+            }
+            this.bootDriveHandle = dirHandle;
+        },
+        stepCopyUf2: async () => {
+            await this.downloadAndCopy(this.uf2FileUrl);
+        },
+        stepSelectCpyDrive: async (options) => {
+            const dirHandle = await this.headlessDrive(options.circuitpyDrive);
+            if (!(await this.getBootOut(dirHandle))) {
+                throw new InstallError(this.t("error.notCircuitpyDrive"), "wrong-drive");
+            }
+            this.circuitpyDriveHandle = dirHandle;
+        },
+        stepSetupRepl: async () => {
+            if (!await this.reuseFlashPortForRepl()) {
+                await this.connectRepl();
+            }
+        },
+        stepCredentials: async (options) => {
+            if (!options.settings) {
+                return;
+            }
+            if (!this.repl && !this.circuitpyDriveHandle) {
+                throw new InstallError(this.t("error.notConnectedToCircuitpy"), "connect-failed");
+            }
+            this.tomlSettings = {...await this.getCurrentSettings(), ...options.settings};
+            await this.writeSettings(this.tomlSettings);
+        },
+        stepSuccess: async () => {
+            return this.getInstallResult(await this.waitForDeviceHostInfo());
+        },
+    }
+
+    menuActions = [...this.menuActions, {
+        label: "menu.installFromFile",
+        onClick: this.installFromFileHandler,
+    }, {
+        label: "menu.clearCache",
+        onClick: this.clearCacheHandler,
+    }, {
+        label: "menu.advanced",
+        onClick: this.showAdvancedSettingsHandler,
+    }];
+
+    dialogStyles = this.dialogStyles + CP_DIALOG_STYLES;
+
     // This is the data for the CircuitPython specific dialogs. Some are reused.
     cpDialogs = {
         boardSelect: {
             closeable: true,
             template: (data) => html`
+                ${data.detected ? html`
                 <p>
-                    There are multiple boards are available. Select the board you have:
-                </p>
+                    ${this.t("boardSelect.detected", {chip: data.detected})}
+                    ${data.boards.length ? this.t("boardSelect.matching") : this.t("boardSelect.noMatch")}
+                </p>` : html`
+                <p>${this.t("boardSelect.intro")}</p>`}
                 <p>
-                    <select id="availableBoards">
-                        <option value="0"> - boards - </option>
-                        ${map(data.boards, (board, index) => html`<option value="${board.id}" ${board.id == data.default ? "selected" : ""}>${board.name}</option>`)}
+                    <select id="availableBoards" autofocus>
+                        <option value="0">${this.t("boardSelect.placeholder")}</option>
+                        ${map(data.boards.length ? data.boards : this.getBoardOptions(), (board, index) => html`<option value="${board.id}" ?selected=${board.id == data.default}>${board.name}</option>`)}
                     </select>
                 </p>
             `,
             buttons: [{
-                label: "Select Board",
+                label: "boardSelect.detect",
+                onClick: this.detectBoardHandler,
+            }, {
+                label: "boardSelect.select",
                 onClick: this.selectBoardHandler,
                 isEnabled: async () => { return this.currentDialogElement.querySelector("#availableBoards").value != "0" },
             }],
         },
+        catalogUnavailable: {
+            closeable: true,
+            template: (data) => html`
+                <h3>${this.t("catalogUnavailable.title")}</h3>
+                <p>${data.message}</p>
+                <p>${this.tHtml("catalogUnavailable.manual")}</p>
+            `,
+            buttons: [this.showLogButton, {
+                label: "button.retry",
+                onClick: this.retryCatalogHandler,
+            }, this.closeButton],
+        },
         welcome: {
             closeable: true,
             template: (data) => html`
-                <h3>Web Firmware Installer</h3>
-                <p>
-                    Welcome!
-                    This tool will install a UF2 bootloader and/or CircuitPython on your ${data.boardName}.
-                </p>
-                <p>
-                    This tool is <strong>experimental</strong>.
-                    If you experience any issues, feel free to check out
-                    <a href="https://github.com/adafruit/circuitpython-org/issues">https://github.com/adafruit/circuitpython-org/issues</a>
-                    to see if the issue you are experiencing has already been reported.
-                    If not, feel free to open a new issue.
-                    If you do see the same issue and are able to contribute additional information,
-                    that would be appreciated.
-                </p>
-                <p>
-                    If you are unable to use this tool,
-                    then the manual installation methods like the
-                    <a href="https://adafruit.github.io/Adafruit_WebSerial_ESPTool/">Adafruit WebSerial Tool</a>
-                    and esptool.py should still work.
-                </p>
+                <h3>${this.t("welcome.title")}</h3>
+                <p>${this.t("welcome.intro", {board: data.boardName})}</p>
+                <p>${this.tHtml("welcome.experimental")}</p>
+                <p>${this.tHtml("welcome.manual")}</p>
             `
         },
         espSerialConnect: {
             closeable: true,
             template: (data) => html`
-                <h3>
-                    Connect to Your Board
-                </h3>
+                <h3>${this.t("espSerialConnect.title")}</h3>
                 <ol>
                     <li>
-                        <p>
-                            Plug your board into this computer.
-                            <em>Make sure the USB cable is good for data sync, and is not a charge-only cable.</em>
-                        </p>
+                        <p>${this.tHtml("espSerialConnect.plugIn")}</p>
                     </li>
                     <li>
-                        <p>
-                            <strong>Put your board into ROM bootloader mode</strong>,
-                            by holding down the BOOT button (sometimes marked "B0"),
-                            and clicking the RESET button (sometimes marked "RST").
-                            If your board doesn't have a BOOT button, just press RESET.
-                        </p>
+                        <p>${this.tHtml("espSerialConnect.bootloaderMode")}</p>
                     </li>
                     <li>
                         <p>
-                            <button id="butConnect" type="button" @click=${this.espToolConnectHandler.bind(this)}>Connect</button>
-                            Click this button to open the Web Serial connection menu and choose the serial port for this board.
-                        </p>
-                        <p>
-                            There may be many devices listed, such as your remembered Bluetooth peripherals, anything else plugged into USB, etc.
-                            If you aren't sure which to choose, look for words like "USB", "UART", "JTAG", and "Bridge Controller".
-                            There may be more than one right option depending on your system configuration. Experiment if needed.
+                            <button id="butConnect" type="button" autofocus @click=${this.espToolConnectHandler.bind(this)}>${this.t(this.connected)}</button>
+                            ${this.t("espSerialConnect.connect")}
                         </p>
+                        <p>${this.t("espSerialConnect.choosePort")}</p>
                     </li>
                 </ul>
             `,
             buttons: [this.previousButton, {
-                label: "Next",
+                label: "button.next",
                 onClick: this.nextStep,
-                isEnabled: async () => { return (this.currentStep < this.currentFlow.steps.length - 1) && this.connected == this.connectionStates.CONNECTED },
-                onUpdate: async (e) => { this.currentDialogElement.querySelector("#butConnect").innerText = this.connected; },
+                isEnabled: async () => { return this.hasNextStep() && this.connected == this.connectionStates.CONNECTED },
+                onUpdate: async (e) => { this.currentDialogElement.querySelector("#butConnect").innerText = this.t(this.connected); },
             }],
         },
         // Shown when the user picks a serial port that's clearly not
@@ -352,39 +1306,88 @@ export class CPInstallButton extends InstallButton {
         notRomBootloader: {
             closeable: true,
             template: (data) => html`
-                <h3>Not in ROM Bootloader mode</h3>
+                <h3>${this.t("notRomBootloader.title")}</h3>
                 ${(data && data.message ? data.message.split("\n\n") : [])
                     .filter((p) => p.trim().length > 0)
                     .map((p) => html`<p>${p}</p>`)}
             `,
             buttons: [{
-                label: "OK",
+                label: "button.ok",
                 onClick: async (e) => {
                     this.closeDialog();
                     // Re-run whatever step we're currently sitting on
                     // (which is the flow's serial-connect step). This
                     // re-shows the Connect to Your Board dialog so
                     // the user can pick the right port this time.
-                    if (this.currentFlow && typeof this.currentFlow.steps[this.currentStep] === "function") {
-                        await this.currentFlow.steps[this.currentStep].bind(this)();
-                    }
+                    await this.runCurrentStep();
                 },
             }],
         },
         confirm: {
             template: (data) => html`
-                <h3>Erase Flash</h3>
-                <p>Now, optionally, erase everything on the ${data.boardName}.</p>
+                <h3>${this.t("confirm.title")}</h3>
+                <p>${this.t("confirm.intro", {board: data.boardName})}</p>
+                ${data.canBackup ? html`
+                <p>
+                    <label for="backupBeforeErase">
+                        <input id="backupBeforeErase" type="checkbox" />
+                        ${this.t("confirm.backup")}
+                    </label>
+                    <br />
+                    <small>${this.t("confirm.backupHint")}</small>
+                </p>` : ''}
+                ${data.erase == "none" ? html`
+                <p>${this.t("confirm.eraseOff")}</p>` : ''}
+                ${data.erase == "firmware" && !data.partitions ? html`
+                <p class="message"><strong>${this.t("confirm.keepFilesUnavailable")}</strong></p>` : ''}
+                ${data.partitions && data.erase != "none" ? html`
+                <p>
+                    <label for="keepFilesystem">
+                        <input id="keepFilesystem" type="checkbox" ?checked=${data.erase == "firmware"} />
+                        ${this.t("confirm.keepFiles")}
+                    </label>
+                    <br />
+                    <label for="keepNvs">
+                        <input id="keepNvs" type="checkbox" checked />
+                        ${this.t("confirm.keepNvs")}
+                    </label>
+                    <br />
+                    <small>${this.t("confirm.keepFilesHint")}</small>
+                </p>
+                <table class="partition-table">
+                    <tr>
+                        <th>${this.t("partitions.partition")}</th>
+                        <th>${this.t("partitions.type")}</th>
+                        <th>${this.t("partitions.offset")}</th>
+                        <th>${this.t("partitions.size")}</th>
+                        <th>${this.t("partitions.whenKeeping")}</th>
+                    </tr>
+                    ${data.partitions.map((partition) => html`
+                    <tr>
+                        <td>${partition.label}</td>
+                        <td>${partition.type}/${partition.subtype}</td>
+                        <td>0x${partition.offset.toString(16)}</td>
+                        <td>${Math.round(partition.size / 1024)}KB</td>
+                        <td>${this.t(this.isFirmwarePartition(partition)
+                            ? "partitions.erased"
+                            : partition.subtype == "nvs" ? "partitions.erasedUnlessNvs" : "partitions.kept")}</td>
+                    </tr>`)}
+                </table>` : ''}
             `,
             buttons: [
                 this.previousButton,
                 {
-                    label: "Skip Erase",
-                    onClick: async (e) => { if (confirm("Skipping the erase step may cause issues and is not recommended. Continue?")) { await this.advanceSteps(2); }},
+                    label: "confirm.skipErase",
+                    onClick: async (e) => {
+                        if (confirm(this.t("confirm.skipEraseWarning"))) {
+                            this.skipErase = true;
+                            await this.confirmEraseHandler(e);
+                        }
+                    },
                 },
                 {
-                    label: "Continue",
-                    onClick: this.nextStep,
+                    label: "button.continue",
+                    onClick: this.confirmEraseHandler,
                 }
             ],
         },
@@ -398,55 +1401,25 @@ export class CPInstallButton extends InstallButton {
         fsapiUnavailable: {
             closeable: true,
             template: (data) => html`
-                <h3>Your browser can't finish automatically</h3>
-                <p>
-                    Your browser doesn't support the
-                    <strong>FileSystem API</strong>, which this installer
-                    normally uses to copy the CircuitPython UF2 file onto
-                    your board's bootloader drive and to write your WiFi
-                    settings to <code>settings.toml</code>.
-                </p>
-                <p>You have a few options:</p>
+                <h3>${this.t("fsapiUnavailable.title")}</h3>
+                <p>${this.tHtml("fsapiUnavailable.intro")}</p>
+                <p>${this.t("fsapiUnavailable.options")}</p>
                 <ul>
-                    <li>
-                        <strong>Use another browser.</strong>
-                        Close this dialog, then re-open this page in
-                        Chrome, Edge, or Opera (version 89 or newer).
-                        Those browsers support the FileSystem API and
-                        will copy CircuitPython and set up WiFi for you
-                        automatically.
-                    </li>
-                    <li>
-                        <strong>Continue here and copy manually.</strong>
-                        We'll guide you through downloading the
-                        CircuitPython UF2 file and dragging it onto your
-                        board's bootloader drive yourself. WiFi setup
-                        can't be automated this way, but we'll show you
-                        how to edit <code>settings.toml</code> by hand
-                        once your board is running CircuitPython.
-                    </li>
+                    <li>${this.tHtml("fsapiUnavailable.anotherBrowser")}</li>
+                    <li>${this.tHtml("fsapiUnavailable.manual")}</li>
                     ${data && data.binAvailable ? html`
-                    <li>
-                        <strong>Install the .bin instead.</strong>
-                        We can flash CircuitPython directly over USB
-                        without using the FileSystem API at all.
-                        <em>However</em>, this skips installing the UF2
-                        bootloader, so you won't have the drag-and-drop
-                        BOOT drive for future firmware updates &mdash;
-                        you'll need to come back here (or use a browser
-                        with the FileSystem API) every time you want to
-                        change CircuitPython versions.
-                    </li>
+                    <li>${this.tHtml("fsapiUnavailable.bin")}</li>
                     ` : html``}
                 </ul>
             `,
             buttons: [{
-                label: "Use Another Browser",
+                label: "fsapiUnavailable.useAnotherBrowser",
                 onClick: async (e) => {
+                    this.cancelFlow();
                     this.closeDialog();
                 },
             }, {
-                label: "Install .bin Instead",
+                label: "fsapiUnavailable.installBin",
                 onClick: this.installBinInsteadHandler,
                 // Show whenever a .bin firmware file is configured for
                 // this board. We deliberately bypass
@@ -463,7 +1436,7 @@ export class CPInstallButton extends InstallButton {
                     e.target.style.display = !!this.binFileUrl ? "" : "none";
                 },
             }, {
-                label: "Continue Manually",
+                label: "fsapiUnavailable.continueManually",
                 onClick: this.continueManuallyHandler,
             }],
         },
@@ -476,38 +1449,24 @@ export class CPInstallButton extends InstallButton {
         manualBootCopy: {
             closeable: true,
             template: (data) => html`
-                <h3>Copy CircuitPython onto the ${data.drivename} drive</h3>
+                <h3>${this.t("manualBootCopy.title", {drive: data.drivename})}</h3>
                 <ol>
                     <li>
-                        <p>
-                            <strong>Reset your board.</strong> Press the
-                            RESET button once. A new drive named
-                            <code>${data.drivename}</code> should appear
-                            on your computer in a few seconds.
-                        </p>
+                        <p>${this.tHtml("manualBootCopy.reset", {drive: data.drivename})}</p>
                     </li>
                     <li>
                         <p>
-                            <strong>Download the CircuitPython UF2 file.</strong>
+                            ${this.tHtml("manualBootCopy.download")}
                             <a href="${data.uf2FileUrl}" download target="_blank" rel="noopener">
-                                Download <code>${data.uf2FileName}</code>
+                                ${this.tHtml("manualBootCopy.downloadLink", {file: data.uf2FileName})}
                             </a>
                         </p>
                     </li>
                     <li>
-                        <p>
-                            <strong>Drag the downloaded UF2 file onto the
-                            <code>${data.drivename}</code> drive.</strong>
-                            The drive will disappear when the copy is
-                            finished and the board reboots into
-                            CircuitPython.
-                        </p>
+                        <p>${this.tHtml("manualBootCopy.drag", {drive: data.drivename})}</p>
                     </li>
                 </ol>
-                <p>
-                    Click <strong>Next</strong> once you've dragged the
-                    file onto the drive.
-                </p>
+                <p>${this.tHtml("manualBootCopy.next")}</p>
             `,
             buttons: [this.previousButton, this.nextButton],
         },
@@ -517,22 +1476,10 @@ export class CPInstallButton extends InstallButton {
         manualCircuitPyWait: {
             closeable: true,
             template: (data) => html`
-                <h3>Waiting for CIRCUITPY</h3>
-                <p>
-                    Once your board finishes copying CircuitPython, a new
-                    drive named <code>CIRCUITPY</code> should appear in a
-                    few seconds.
-                </p>
-                <p>
-                    If it doesn't appear, the drive may have been renamed
-                    or disabled in <code>boot.py</code> on a previous
-                    install. You can still continue &mdash; CircuitPython
-                    is running on your board either way.
-                </p>
-                <p>
-                    Click <strong>Next</strong> when you're ready to wrap
-                    up.
-                </p>
+                <h3>${this.t("manualCircuitPyWait.title")}</h3>
+                <p>${this.tHtml("manualCircuitPyWait.intro")}</p>
+                <p>${this.tHtml("manualCircuitPyWait.missing")}</p>
+                <p>${this.tHtml("manualCircuitPyWait.next")}</p>
             `,
             buttons: [this.previousButton, this.nextButton],
         },
@@ -543,48 +1490,29 @@ export class CPInstallButton extends InstallButton {
         manualSuccess: {
             closeable: true,
             template: (data) => html`
-                <h3>CircuitPython is installed!</h3>
-                <p>
-                    Your board should now be running CircuitPython. If it
-                    doesn't reboot automatically, press the RESET button
-                    once.
-                </p>
-                <p>
-                    <strong>To set up WiFi:</strong> open the
-                    <code>CIRCUITPY</code> drive and create or edit a
-                    file called <code>settings.toml</code> in the root.
-                    Add lines like:
-                </p>
-                <pre style="white-space: pre; font-family: monospace;">CIRCUITPY_WIFI_SSID = "your-network"
+                <h3>${this.t("manualSuccess.title")}</h3>
+                <p>${this.t("manualSuccess.intro")}</p>
+                <p>${this.tHtml("manualSuccess.wifi")}</p>
+                <pre>CIRCUITPY_WIFI_SSID = "your-network"
 CIRCUITPY_WIFI_PASSWORD = "your-password"
 CIRCUITPY_WEB_API_PASSWORD = "passw0rd"
 CIRCUITPY_WEB_API_PORT = 80</pre>
-                <p>
-                    Save the file, then press RESET on your board. Once
-                    the board reconnects to WiFi you can edit code in a
-                    browser via the
-                    <a href="https://code.circuitpython.org/" target="_blank" rel="noopener">CircuitPython web code editor</a>.
-                </p>
+                <p>${this.tHtml("manualSuccess.editor")}</p>
             `,
             buttons: [this.closeButton],
         },
         bootDriveSelect: {
             closeable: true,
             template: (data) => html`
-                <h3>Select the ${data.drivename} Drive</h3>
+                <h3>${this.t("bootDriveSelect.title", {drive: data.drivename})}</h3>
                 <ol>
                     <li>
-                        <p>
-                            <strong>Reset your board</strong> if you just installed the UF2 bootloader,
-                            by pressing the RESET button.
-                            If you already had the UF2 bootloader installed,
-                            you may need to double-click the RESET button to start up the UF2 bootloader.
-                        </p>
+                        <p>${this.tHtml("bootDriveSelect.reset")}</p>
                     </li>
                     <li>
                         <p>
-                            <button id="butSelectBootDrive" type="button" @click=${this.bootDriveSelectHandler.bind(this)}>Select ${data.drivename} Drive</button>
-                            Select the ${data.drivename} drive where the UF2 file will be copied.
+                            <button id="butSelectBootDrive" type="button" autofocus @click=${this.bootDriveSelectHandler.bind(this)}>${this.t("bootDriveSelect.button", {drive: data.drivename})}</button>
+                            ${this.t("bootDriveSelect.instructions", {drive: data.drivename})}
                         </p>
                     </li>
                 </ul>
@@ -594,28 +1522,116 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         circuitpyDriveSelect: {
             closeable: true,
             template: (data) => html`
-                <h3>Select the CIRCUITPY Drive</h3>
+                <h3>${this.t("circuitpyDriveSelect.title")}</h3>
                 <ul>
                     <li>
                         <p>
-                            <button id="butSelectCpyDrive" type="button" @click=${this.circuitpyDriveSelectHandler.bind(this)}>Select CIRCUITPY Drive</button>
-                            Select the CIRCUITPY Drive.
-                            You may need to wait a few seconds for it to appear.
-                            If you don't see your CIRCUITPY drive, it may be disabled in boot.py or you may have previously renamed it.
+                            <button id="butSelectCpyDrive" type="button" autofocus @click=${this.circuitpyDriveSelectHandler.bind(this)}>${this.t("circuitpyDriveSelect.button")}</button>
+                            ${this.t("circuitpyDriveSelect.instructions")}
                         </p>
                     </li>
                 </ul>
             `,
             buttons: [],
         },
-        actionWaiting: {
+        circuitpyBackup: {
+            closeable: true,
+            template: (data) => html`
+                <h3>${this.t("circuitpyBackup.title")}</h3>
+                <p>${this.t("circuitpyBackup.intro", {board: data.boardName})}</p>
+                <p>
+                    <button id="butBackupToBrowser" type="button" autofocus @click=${(e) => this.circuitpyBackupHandler(e, false)}>${this.t("circuitpyBackup.toBrowser")}</button>
+                    <button id="butBackupToFolder" type="button" @click=${(e) => this.circuitpyBackupHandler(e, true)}>${this.t("circuitpyBackup.toFolder")}</button>
+                </p>
+                <p>${this.t("circuitpyBackup.instructions")}</p>
+                ${data.error ? html`<p><strong>${data.error}</strong></p>` : ''}
+            `,
+            buttons: [this.previousButton, {
+                label: "button.skip",
+                onClick: this.nextStep,
+            }],
+        },
+        circuitpyRestore: {
+            closeable: true,
+            template: (data) => html`
+                <h3>${this.t("circuitpyRestore.title")}</h3>
+                <p>${this.t("circuitpyRestore.intro", {
+                    backup: data.backupName,
+                    count: data.fileCount,
+                    size: Math.round(data.totalSize / 1024),
+                })}</p>
+                ${data.conflicts.length ? html`
+                <p>${this.t("circuitpyRestore.conflicts")}</p>
+                <ul>
+                    ${data.conflicts.map((path) => html`<li><code>${path}</code></li>`)}
+                </ul>` : html`<p>${this.t("circuitpyRestore.noConflicts")}</p>`}
+            `,
+            buttons: [{
+                label: "button.skip",
+                onClick: this.nextStep,
+            }, {
+                label: "circuitpyRestore.restore",
+                onClick: this.circuitpyRestoreHandler,
+            }],
+        },
+        // Generic "pick or drop a file" dialog. The caller passes the
+        // title/instructions and the accepted extensions. The chosen File
+        // ends up in selectedFile, and if an onSelect callback is passed
+        // it's run with the file instead of enabling Next.
+        fileSelect: {
+            closeable: true,
+            template: (data) => html`
+                <h3>${data.title}</h3>
+                <p>${data.instructions}</p>
+                <div class="file-drop-zone"
+                    @dragover=${(e) => { e.preventDefault(); }}
+                    @drop=${(e) => { e.preventDefault(); this.fileSelectHandler(e.dataTransfer.files[0], data); }}>
+                    <p>${this.t("fileSelect.drop")}</p>
+                    <input id="firmwareFile" type="file" autofocus accept="${data.accept}"
+                        @change=${(e) => { this.fileSelectHandler(e.target.files[0], data); }} />
+                </div>
+                ${data.file ? html`<p>${this.tHtml("fileSelect.selected", {file: data.file.name, size: data.file.size})}</p>` : ''}
+                ${data.error ? html`<p class="message"><strong>${data.error}</strong></p>` : ''}
+            `,
+            buttons: [this.previousButton, {
+                label: "button.next",
+                onClick: this.nextStep,
+                isEnabled: async () => { return !!this.selectedFile && this.hasNextStep() },
+            }],
+        },
+        confirmRestore: {
+            template: (data) => html`
+                <h3>${this.t("confirmRestore.title")}</h3>
+                <p>${this.tHtml("confirmRestore.intro", {chip: data.chipName, file: data.filename, size: data.imageSize})}</p>
+                ${!data.flashSize ? html`
+                <p class="message"><strong>${this.t("confirmRestore.sizeUnknown")}</strong></p>` : ''}
+                ${data.imageSize < data.flashSize ? html`
+                <p>${this.t("confirmRestore.smallImage", {flashSize: data.flashSizeName})}</p>` : ''}
+            `,
+            buttons: [this.previousButton, {
+                label: "confirmRestore.restore",
+                onClick: this.nextStep,
+            }],
+        },
+        backupComplete: {
+            closeable: true,
+            template: (data) => html`
+                <h3>${this.t("backupComplete.title")}</h3>
+                <p>${this.tHtml("backupComplete.saved", {url: data.url, file: data.filename})}</p>
+                <p>${this.t("backupComplete.instructions")}</p>
+            `,
+            buttons: [this.nextButton],
+        },
+        actionWaiting: {
+            announce: true,
             template: (data) => html`
                 <p class="centered">${data.action}</p>
-                <div class="loader"><div></div><div></div><div></div><div></div></div>
+                <div class="loader" aria-hidden="true"><div></div><div></div><div></div><div></div></div>
             `,
             buttons: [],
         },
         actionProgress: {
+            announce: true,
             template: (data) => html`
                 <p>${data.action}</p>
                 <progress id="stepProgress" max="100" value="${data.percentage}"> ${data.percentage}% </progress>
@@ -625,77 +1641,114 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         cpSerial: {
             closeable: true,
             template: (data) => html`
-                <h3>Reconnect to serial</h3>
+                <h3>${this.t("cpSerial.title")}</h3>
                 <ul>
                     <li>
-                        <button id="butConnect" type="button" @click=${this.cpSerialConnectHandler.bind(this)}>Connect</button>
-                        Click this button to open the Web Serial connection menu.
-                        If it is already connected, you can press it again if you need to select a different port.
+                        <button id="butConnect" type="button" autofocus @click=${this.cpSerialConnectHandler.bind(this)}>${this.t("connection.connect")}</button>
+                        ${this.t("cpSerial.instructions")}
                     </li>
                 </ul>
                 </p>
                 <p>${data.serialPortInstructions}</p>
             `,
             buttons: [this.previousButton, {
-                label: "Next",
+                label: "button.next",
                 onClick: this.nextStep,
-                isEnabled: async () => { return (this.currentStep < this.currentFlow.steps.length - 1) && !!this.replSerialDevice; },
-                onUpdate: async (e) => { this.currentDialogElement.querySelector("#butConnect").innerText = !!this.replSerialDevice ? "Connected" : "Connect"; },
+                isEnabled: async () => { return this.hasNextStep() && !!this.replSerialDevice; },
+                onUpdate: async (e) => { this.currentDialogElement.querySelector("#butConnect").innerText = this.t(!!this.replSerialDevice ? "connection.connected" : "connection.connect"); },
             }],
         },
 
         credentials: {
             closeable: true,
             template: (data) => html`
-                <h3>Fill in settings.toml</h3>
-                <p>
-                    This step will write your network credentials to the settings.toml file on CIRCUITPY.
-                    Make sure your board is running CircuitPython.
-                </p>
-                <p>
-                    If you want to skip this step and fill in settings.toml later,
-                    just close this dialog.
-                </p>
+                <h3>${this.t("credentials.title")}</h3>
+                <p>${this.t("credentials.intro")}</p>
+                <p>${this.t("credentials.skip")}</p>
                 <fieldset>
                     <div class="field">
-                        <label for="circuitpy_wifi_ssid">WiFi Network Name (SSID):</label>
-                        <input id="circuitpy_wifi_ssid" class="setting-data" type="text" placeholder="WiFi SSID" value="${data.wifi_ssid}" />
+                        <label for="circuitpy_wifi_ssid">${this.t("credentials.ssid")}</label>
+                        <input id="circuitpy_wifi_ssid" class="setting-data" type="text" autofocus placeholder="${this.t("credentials.ssidPlaceholder")}" value="${data.wifi_ssid}" />
                     </div>
                     <div class="field">
-                        <label for="circuitpy_wifi_password">WiFi Password:</label>
-                        <input id="circuitpy_wifi_password" class="setting-data" type="password" placeholder="WiFi Password" value="${data.wifi_password}" />
+                        <label for="circuitpy_wifi_password">${this.t("credentials.password")}</label>
+                        <input id="circuitpy_wifi_password" class="setting-data" type="password" placeholder="${this.t("credentials.passwordPlaceholder")}" value="${data.wifi_password}" />
                     </div>
                     <div class="field">
-                        <label for="circuitpy_web_api_password">Web Workflow API Password:</label>
-                        <input id="circuitpy_web_api_password" class="setting-data" type="password" placeholder="Web Workflow API Password" value="${data.api_password}"  />
+                        <label for="circuitpy_web_api_password">${this.t("credentials.apiPassword")}</label>
+                        <input id="circuitpy_web_api_password" class="setting-data" type="password" placeholder="${this.t("credentials.apiPasswordPlaceholder")}" value="${data.api_password}"  />
                     </div>
                     <div class="field">
-                        <label for="circuitpy_web_api_port">Web Workflow API Port:</label>
-                        <input id="circuitpy_web_api_port" class="setting-data" type="number" min="0" max="65535" placeholder="Web Workflow API Port" value="${data.api_port}"  />
+                        <label for="circuitpy_web_api_port">${this.t("credentials.apiPort")}</label>
+                        <input id="circuitpy_web_api_port" class="setting-data" type="number" min="0" max="65535" placeholder="${this.t("credentials.apiPortPlaceholder")}" value="${data.api_port}"  />
                     </div>
                     ${data.mass_storage_disabled === true || data.mass_storage_disabled === false ?
                     html`<div class="field">
-            <label for="circuitpy_drive"><input id="circuitpy_drive" class="setting" type="checkbox" value="disabled" ${data.mass_storage_disabled ? "checked" : ""} />Disable CIRCUITPY Drive (Required for write access)</label>
+            <label for="circuitpy_drive"><input id="circuitpy_drive" class="setting" type="checkbox" value="disabled" ${data.mass_storage_disabled ? "checked" : ""} />${this.t("credentials.disableDrive")}</label>
             </div>` : ''}
                 </fieldset>
             `,
             buttons: [this.previousButton, {
-                label: "Next",
+                label: "button.next",
                 onClick: this.saveCredentials,
             }]
         },
         success: {
             closeable: true,
             template: (data) => html`
-                <p>Successfully Completed</p>
-                <p>If your device doesn't reboot automatically press the reset button once.</p>
+                <p>${this.t("success.title")}</p>
+                <p>${this.t("success.reset")}</p>
                 ${data.ip ?
-                    html`<p>
-                        You can edit files by going to <a href="http://${data.ip}/code/">http://${data.ip}/code/</a>.
-                    </p>` : ''}
+                    html`<p>${this.tHtml("success.editFiles", {ip: data.ip})}</p>` : ''}
             `,
             buttons: [this.closeButton],
         },
+        advanced: {
+            closeable: true,
+            template: (data) => html`
+                <h3>${this.t("advanced.title")}</h3>
+                <p>${this.t("advanced.intro")}</p>
+                <div class="field">
+                    <label for="advancedBaudRate">${this.t("advanced.baudRate")}</label>
+                    <select id="advancedBaudRate" class="setting-data" autofocus>
+                        ${map(this.advancedBaudRates(), (rate) => html`<option value="${rate}" ?selected=${rate == data.settings.baudRate}>${rate > RELIABLE_BAUDRATE ? this.t("advanced.unreliableBaudRate", {rate}) : rate}</option>`)}
+                    </select>
+                    <small>${this.t("advanced.baudRateHint")}</small>
+                </div>
+                <div class="field">
+                    <label for="advancedFlashMode">${this.t("advanced.flashMode")}</label>
+                    <select id="advancedFlashMode" class="setting-data">
+                        ${map(FLASH_MODES, (mode) => html`<option value="${mode}" ?selected=${mode == data.settings.flashMode}>${mode == "keep" ? this.t("advanced.keep") : mode.toUpperCase()}</option>`)}
+                    </select>
+                </div>
+                <div class="field">
+                    <label for="advancedFlashFreq">${this.t("advanced.flashFreq")}</label>
+                    <select id="advancedFlashFreq" class="setting-data">
+                        ${map(FLASH_FREQUENCIES, (freq) => html`<option value="${freq}" ?selected=${freq == data.settings.flashFreq}>${freq == "keep" ? this.t("advanced.keep") : freq.replace("m", " MHz")}</option>`)}
+                    </select>
+                </div>
+                <div class="field">
+                    <label for="advancedFlashSize">${this.t("advanced.flashSize")}</label>
+                    <select id="advancedFlashSize" class="setting-data">
+                        ${map(FLASH_SIZES, (size) => html`<option value="${size}" ?selected=${size == data.settings.flashSize}>${["keep", "detect"].includes(size) ? this.t(`advanced.${size}`) : size}</option>`)}
+                    </select>
+                    <small>${this.t("advanced.flashHint")}</small>
+                </div>
+                <div class="field">
+                    <label for="advancedErase">${this.t("advanced.erase")}</label>
+                    <select id="advancedErase" class="setting-data">
+                        ${map(ERASE_MODES, (erase) => html`<option value="${erase}" ?selected=${erase == data.settings.erase}>${this.t(`advanced.erase${erase[0].toUpperCase()}${erase.slice(1)}`)}</option>`)}
+                    </select>
+                </div>
+            `,
+            buttons: [{
+                label: "advanced.reset",
+                onClick: this.resetAdvancedSettingsHandler,
+            }, {
+                label: "advanced.save",
+                onClick: this.saveAdvancedSettingsHandler,
+            }],
+        },
         error: {
             closeable: true,
             template: (data) => {
@@ -707,10 +1760,36 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
                 // within a paragraph via CSS white-space: pre-line.
                 const paragraphs = String(data.message || "").split(/\n{2,}/);
                 return html`
-                    ${map(paragraphs, (p) => html`<p style="white-space: pre-line;">${p}</p>`)}
+                    ${map(paragraphs, (p) => html`<p class="message">${p}</p>`)}
                 `;
             },
-            buttons: [this.closeButton],
+            buttons: [this.showLogButton, this.closeButton],
+        },
+        integrityError: {
+            closeable: true,
+            template: (data) => html`
+                <h3>${this.t("integrityError.title")}</h3>
+                <p>${this.tHtml("integrityError.intro", {file: data.filename})}</p>
+                <p class="message">${data.message}</p>
+                <p>${this.t("integrityError.retry")}</p>
+            `,
+            buttons: [this.showLogButton, this.closeButton],
+        },
+        verifyFailed: {
+            closeable: true,
+            template: (data) => html`
+                <h3>${this.t("verifyFailed.title")}</h3>
+                <p>${this.tHtml("verifyFailed.intro", {file: data.filename})}</p>
+                <p>${this.t("verifyFailed.cause")}</p>
+            `,
+            buttons: [this.showLogButton, {
+                label: "button.retry",
+                onClick: async (e) => {
+                    // Re-run the flashing step we failed on. The file is
+                    // already cached so this goes straight to writing.
+                    await this.runCurrentStep();
+                },
+            }, this.closeButton],
         },
         warning: {
             closeable: true,
@@ -721,24 +1800,25 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
             template: (data) => {
                 const paragraphs = String(data.message || "").split(/\n{2,}/);
                 return html`
-                    ${map(paragraphs, (p) => html`<p style="white-space: pre-line;">${p}</p>`)}
+                    ${map(paragraphs, (p) => html`<p class="message">${p}</p>`)}
                 `;
             },
-            buttons: [this.closeButton],
+            buttons: [this.showLogButton, this.closeButton],
         },
     }
 
     getBoardName(boardId) {
         if (Object.keys(this.boardDefs).includes(boardId)) {
-            return this.boardDefs[boardId].name;
+            // Custom board definitions don't always bother with a name
+            return this.boardDefs[boardId].name || boardId;
         }
         return null;
     }
 
-    getBoardOptions() {
+    getBoardOptions(boardIds = this.boardIds) {
         let options = [];
-        for (let boardId of this.boardIds) {
-            options.push({id: boardId, name: this.getBoardName(boardId)});
+        for (let boardId of boardIds) {
+            options.push({id: boardId, name: this.getBoardName(boardId) || boardId});
         }
 
         options.sort((a, b) => {
@@ -758,35 +1838,6 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
     ////////// STEP FUNCTIONS //////////
 
     async stepWelcome() {
-        // continueManuallyHandler mutates currentFlow.steps in place to
-        // graft on the manual sub-flow. Since runFlow doesn't clone the
-        // step array, that mutation would persist across runs and break
-        // a subsequent automated run on Chrome. Snapshot the original
-        // step list the first time we see each flow and restore it on
-        // every welcome step so each run starts fresh. (Issue #24)
-        if (this.currentFlow) {
-            if (!this.currentFlow._originalSteps) {
-                this.currentFlow._originalSteps = this.currentFlow.steps.slice();
-            } else {
-                this.currentFlow.steps = this.currentFlow._originalSteps.slice();
-            }
-            // If installBinInsteadHandler set this flag on the bin flow
-            // and we're now running stepWelcome via Previous from
-            // stepSerialConnect, redirect to uf2FullProgram's welcome
-            // so the user lands back where they started. Clear the
-            // flag whether we redirect or not so that a subsequent
-            // fresh entry to the bin flow doesn't accidentally bounce.
-            if (this.currentFlow._returnToUf2Welcome) {
-                this.currentFlow._returnToUf2Welcome = false;
-                const uf2Flow = this.flows.uf2FullProgram;
-                if (uf2Flow) {
-                    this.currentFlow = uf2Flow;
-                    this.currentStep = 0;
-                    await this.currentFlow.steps[this.currentStep].bind(this)();
-                    return;
-                }
-            }
-        }
         // Display Welcome Dialog
         this.showDialog(this.dialogs.welcome, {boardName: this.boardName});
     }
@@ -824,19 +1875,200 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
     }
 
     async stepConfirm() {
+        this.skipErase = false;
+        this.backupBeforeErase = false;
+        this.eraseRegions = null;
+        this.partitionTable = null;
+
+        // Erasing just the firmware only makes sense if the board has a
+        // filesystem to keep, and flows that install a bootloader replace
+        // the partition table anyway
+        if (!this.currentFlow.has("stepBootloader")) {
+            this.showDialog(this.dialogs.actionWaiting, {
+                action: this.t("progress.readingPartitions"),
+            });
+            try {
+                const partitions = await this.readPartitionTable();
+                if (partitions.some((partition) => ["fat", "spiffs", "littlefs"].includes(partition.subtype))) {
+                    this.partitionTable = partitions;
+                }
+            } catch (err) {
+                this.logMsg(`Unable to read the partition table: ${err}`);
+            }
+        }
+
         // Display Confirm Dialog
-        this.showDialog(this.dialogs.confirm, {boardName: this.boardName});
+        // Erasing nothing by default means Continue skips the erase too
+        const erase = this.advancedSettings.erase;
+        this.skipErase = erase == "none";
+        this.showDialog(this.dialogs.confirm, {
+            boardName: this.boardName,
+            canBackup: this.currentFlow.has("stepBackupFlash"),
+            partitions: this.partitionTable,
+            erase: erase,
+        });
     }
 
-    async stepEraseAll() {
-        // Display Erase Dialog
+    // Optional safety net before anything gets erased or overwritten.
+    // Only runs if the user ticked the checkbox in the confirm dialog.
+    async stepBackupFlash() {
+        if (!this.backupBeforeErase) {
+            await this.nextStep();
+            return;
+        }
+
+        this.showDialog(this.dialogs.actionProgress, {
+            action: this.t("progress.backingUpFlash"),
+        });
+
+        let backupBlob, filename;
+        try {
+            filename = await this.getBackupFilename();
+            backupBlob = await this.readFlashBackup((received, total) => {
+                this.updateProgress("backup", received, total);
+            });
+        } catch (err) {
+            this.logMsg(`Backup failed: ${err}`);
+            if (err instanceof InstallError) {
+                this.errorMsg(`${err.message} ${this.t("error.backupNotErased")}`, err.code);
+            } else {
+                this.errorMsg(this.t("error.backupFailed"), "backup-failed");
+            }
+            return;
+        }
+        this.logMsg(`Backed up ${backupBlob.size} bytes to ${filename}`);
+
+        if (this.backupUrl) {
+            URL.revokeObjectURL(this.backupUrl);
+        }
+        this.backupUrl = URL.createObjectURL(backupBlob);
+        this.downloadBlob(backupBlob, filename);
+        this.showDialog(this.dialogs.backupComplete, {url: this.backupUrl, filename: filename});
+    }
+
+    async stepSelectRestoreImage() {
+        if (this.selectedFile && !this.selectedFile.name.toLowerCase().endsWith(".bin")) {
+            // Left over from installing some other kind of file
+            this.selectedFile = null;
+        }
+        this.showDialog(this.dialogs.fileSelect, {
+            title: this.t("restoreImage.title"),
+            instructions: this.t("restoreImage.instructions"),
+            accept: ".bin",
+            file: this.selectedFile,
+        });
+    }
+
+    // Now that we're connected and know how big the flash is, make sure the
+    // image fits before anything gets erased
+    async stepConfirmRestore() {
+        if (!this.selectedFile) {
+            this.errorMsg(this.t("error.noRestoreFile"));
+            return;
+        }
+        // Read when we connected. Null if the chip's flash ID wasn't one we
+        // know, in which case there's nothing to check the file against.
+        const deviceInfo = this.currentFlow.deviceInfo;
+        const flashSizeName = deviceInfo ? deviceInfo.flashSize : await this.readFlashSize();
+        const flashSize = flashSizeName ? this.esploader.flashSizeBytes(flashSizeName) : null;
+        if (!flashSize) {
+            this.logMsg(`Unknown flash size, so unable to check that ${this.selectedFile.name} fits`);
+        } else if (this.selectedFile.size > flashSize) {
+            this.errorMsg(this.t("error.restoreImageTooBig", {
+                file: this.selectedFile.name,
+                size: this.selectedFile.size,
+                flashSize: flashSizeName,
+            }));
+            return;
+        }
+
+        this.skipErase = false;
+        this.showDialog(this.dialogs.confirmRestore, {
+            chipName: this.esploader.chip.CHIP_NAME,
+            filename: this.selectedFile.name,
+            imageSize: this.selectedFile.size,
+            flashSize: flashSize,
+            flashSizeName: flashSizeName,
+        });
+    }
+
+    async stepFlashRestoreImage() {
+        // Written at offset 0 with MD5 verification like any other image
+        if (!await this.flashSelectedFile()) {
+            return;
+        }
         this.showDialog(this.dialogs.actionWaiting, {
-            action: "Erasing Flash...",
+            action: this.t("progress.resetting"),
         });
+        await this.espHardReset();
+        await this.nextStep();
+    }
+
+    async stepFlashManifest() {
+        let build;
         try {
-            await this.esploader.eraseFlash();
+            build = await this.findManifestBuild();
+        } catch (err) {
+            this.errorMsg(err.message, err.code);
+            return;
+        }
+        // Like downloadAndInstall, this shows its own errors
+        await this.flashManifestBuild(build);
+        this.showDialog(this.dialogs.actionWaiting, {
+            action: this.t("progress.resetting"),
+        });
+        await this.espHardReset();
+        await this.nextStep();
+    }
+
+    // Flash a .bin or tinyuf2 .zip picked with "Install from File..."
+    async stepFlashLocalFile() {
+        if (!await this.flashSelectedFile()) {
+            return;
+        }
+        this.showDialog(this.dialogs.actionWaiting, {
+            action: this.t("progress.resetting"),
+        });
+        await this.espHardReset();
+        await this.nextStep();
+    }
+
+    // Flash the file picked for a restore or "Install from File...". False if
+    // it failed, in which case the error is showing and the flow stops there.
+    async flashSelectedFile() {
+        const isZip = this.selectedFile.name.toLowerCase().endsWith(".zip");
+        try {
+            await this.downloadAndInstall(this.selectedFile, isZip ? 'combined.bin' : null);
+        } catch (err) {
+            // downloadAndInstall() shows the error before throwing an InstallError
+            if (!(err instanceof InstallError)) {
+                this.errorMsg(this.t("error.flashFailed", {files: this.selectedFile.name, error: err}), "flash-failed");
+            }
+            return false;
+        }
+        return true;
+    }
+
+    async stepCopyLocalUf2() {
+        if (!this.bootDriveHandle) {
+            this.errorMsg(this.t("error.noBootDrive"));
+            return;
+        }
+        await this.downloadAndCopy(this.selectedFile);
+        await this.nextStep();
+    }
+
+    async stepEraseAll() {
+        if (this.skipErase) {
+            await this.nextStep();
+            return;
+        }
+        try {
+            await this.eraseDevice();
         } catch (err) {
-            this.errorMsg("Unable to finish erasing Flash memory. Please try again.");
+            // Don't flash over a half-erased chip
+            this.errorMsg(err.message, err.code);
+            return;
         }
         await this.nextStep();
     }
@@ -844,7 +2076,7 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
     async stepFlashBin() {
         if (!this.binFileUrl) {
             // We shouldn't be able to get here, but just in case
-            this.errorMsg("Missing bin file URL. Please make sure the installer button has this specified.");
+            this.errorMsg(this.t("error.missingBinUrl"));
             return;
         }
 
@@ -854,7 +2086,7 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         // Both can take several seconds, so swap to a waiting indicator so the
         // user doesn't think the wizard is stuck on "Flashing 100%".
         this.showDialog(this.dialogs.actionWaiting, {
-            action: "Resetting the board and opening the REPL...",
+            action: this.t("progress.resettingRepl"),
         });
         await this.espHardReset();
         await this.nextStep();
@@ -863,11 +2095,11 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
     async stepBootloader() {
         if (!this.bootloaderUrl) {
             // We shouldn't be able to get here, but just in case
-            this.errorMsg("Missing bootloader file URL. Please make sure the installer button has this specified.");
+            this.errorMsg(this.t("error.missingBootloaderUrl"));
             return;
         }
         // Display Bootloader Dialog
-        await this.downloadAndInstall(this.bootloaderUrl, 'combined.bin', true);
+        await this.downloadAndInstall(this.bootloaderUrl, 'combined.bin');
         await this.nextStep();
     }
 
@@ -908,6 +2140,8 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
     // by editing settings.toml themselves, since the auto-credentials
     // step doesn't run in manual mode.
     async stepManualSuccess() {
+        // The user still has to copy the UF2 over themselves
+        this.completeFlow({...this.getInstallResult(), manual: true});
         this.showDialog(this.dialogs.manualSuccess);
     }
 
@@ -931,14 +2165,53 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         this.showDialog(this.dialogs.circuitpyDriveSelect);
     }
 
+    // Optional copy of the existing CIRCUITPY drive, put back by
+    // stepRestoreCircuitpy once the new CircuitPython is installed
+    async stepBackupCircuitpy() {
+        this.circuitpyBackup = null;
+        this.showDialog(this.dialogs.circuitpyBackup, {
+            boardName: this.boardName,
+        });
+    }
+
+    async stepRestoreCircuitpy() {
+        if (!this.circuitpyBackup) {
+            await this.nextStep();
+            return;
+        }
+
+        let files;
+        const conflicts = [];
+        try {
+            files = await this.listDirectoryFiles(this.circuitpyBackup.handle);
+            files = files.filter((file) => file.path != "boot_out.txt");
+            for (const file of files) {
+                if (await this.getFileHandleByPath(this.circuitpyDriveHandle, file.path)) {
+                    conflicts.push(file.path);
+                }
+            }
+        } catch (err) {
+            this.errorMsg(this.t("error.readCircuitpyBackup", {error: err}), "restore-failed");
+            return;
+        }
+        this.circuitpyBackup.files = files;
+
+        this.showDialog(this.dialogs.circuitpyRestore, {
+            backupName: this.circuitpyBackup.name,
+            fileCount: files.length,
+            totalSize: files.reduce((total, file) => total + file.size, 0),
+            conflicts: conflicts,
+        });
+    }
+
     async stepCopyUf2() {
         if (!this.bootDriveHandle) {
-            this.errorMsg("No boot drive selected. stepSelectBootDrive should preceed this step.");
+            this.errorMsg(this.t("error.noBootDrive"));
             return;
         }
         // Display Progress Dialog
         this.showDialog(this.dialogs.actionProgress, {
-            action: `Copying ${this.uf2FileUrl}...`,
+            action: this.t("progress.copying", {file: this.uf2FileUrl}),
         });
 
         // Do a copy and update progress along the way
@@ -949,163 +2222,58 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
     }
 
     async stepSetupRepl() {
-        // Don't close the SerialPort between flash and REPL. On Pi 5 + CP2104
-        // (and likely other USB-serial bridges) port.close() can hang
-        // indefinitely after esptool-js's transport.disconnect(), and even
-        // after a successful reopen the device often goes silent. Instead,
-        // release esptool-js's hold on the port (reader/writer locks) WITHOUT
-        // closing it, then reuse the same open port directly for REPL. The
-        // port is already at 115200 baud, which is what CircuitPython REPL
-        // uses. (Issue #22)
-        const reusablePort = (this.transport && this.transport.device) || this.device;
+        if (await this.reuseFlashPortForRepl()) {
+            await this.nextStep();
+            return;
+        }
 
-        if (reusablePort) {
-            try {
-                // Release esptool-js's reader/writer locks without closing.
-                if (this.transport) {
-                    try {
-                        if (this.transport.reader) {
-                            try { await this.transport.reader.cancel(); } catch (e) { /* ignore */ }
-                            try { this.transport.reader.releaseLock(); } catch (e) { /* ignore */ }
-                            this.transport.reader = undefined;
-                        }
-                        if (this.transport.writer) {
-                            try { this.transport.writer.releaseLock(); } catch (e) { /* ignore */ }
-                            this.transport.writer = undefined;
-                        }
-                    } catch (e) {
-                        console.warn("Could not release esptool-js locks (continuing):", e);
-                    }
-                    // Drop our refs to the transport but DO NOT call its
-                    // disconnect() method (which would close the port).
-                    this.transport = null;
-                    this.device = null;
-                    this.chip = null;
-                    this.updateEspConnected(this.connectionStates.DISCONNECTED);
-                }
+        const serialPortName = await this.getSerialPortName();
+        let serialPortInstructions = this.t("cpSerial.choosePort");
+        if (serialPortName) {
+            serialPortInstructions = this.t("cpSerial.choosePortNamed", {port: serialPortName});
+        }
+        this.showDialog(this.dialogs.cpSerial, {
+            serialPortInstructions: serialPortInstructions
+        });
+    }
 
-                this.replSerialDevice = reusablePort;
+    async stepCredentials() {
+        // Talking to the board over the REPL can take several seconds while
+        // we read settings.toml; show a spinner so the UI doesn't appear hung.
+        this.showDialog(this.dialogs.actionWaiting, {
+            action: this.t("progress.readingSettings"),
+        });
+        // We may want to see if the board has previously been set up and fill in any values from settings.toml and boot.py
+        this.tomlSettings = await this.getCurrentSettings();
+        const parameters = {
+            wifi_ssid: this.getSetting('CIRCUITPY_WIFI_SSID'),
+            wifi_password: this.getSetting('CIRCUITPY_WIFI_PASSWORD'),
+            api_password: this.getSetting('CIRCUITPY_WEB_API_PASSWORD', 'passw0rd'),
+            api_port: this.getSetting('CIRCUITPY_WEB_API_PORT', 80),
+        }
 
-                // The port is currently at the flash baud (e.g. 921600)
-                // and Web Serial doesn't support changing baud on an open
-                // port, so we must close and reopen at REPL baud (115200).
-                // close() can hang on Pi/CP2104 so we race it with a timeout
-                // and continue regardless.
-                try {
-                    await Promise.race([
-                        reusablePort.close(),
-                        new Promise((_, reject) => setTimeout(() => reject(new Error("close() timeout")), 2500)),
-                    ]);
-                } catch (err) {
-                    // close() can hang on CP2104; we proceed regardless.
-                }
-                await new Promise((r) => setTimeout(r, 400));
-
-                // Reopen at REPL baud. May still report InvalidStateError
-                // if the platform is mid-close; retry with backoff.
-                let opened = false;
-                const openErrors = [];
-                for (let attempt = 0; attempt < 8 && !opened; attempt++) {
-                    try {
-                        await Promise.race([
-                            reusablePort.open({baudRate: ESP_ROM_BAUD}),
-                            new Promise((_, reject) => setTimeout(() => reject(new Error("open() timeout")), 3000)),
-                        ]);
-                        opened = true;
-                    } catch (err) {
-                        openErrors.push(err && err.message ? err.message : String(err));
-                        if (err && err.name === "InvalidStateError") {
-                            await new Promise((r) => setTimeout(r, 400));
-                            continue;
-                        }
-                        throw err;
-                    }
-                }
-                if (!opened) {
-                    throw new Error(`Could not reopen port at REPL baud (attempts: ${openErrors.join(" | ")})`);
-                }
-
-                // Toggle DTR/RTS to reset the chip into normal boot.
-                try {
-                    await reusablePort.setSignals({dataTerminalReady: false, requestToSend: true});
-                    await new Promise((r) => setTimeout(r, 100));
-                    await reusablePort.setSignals({dataTerminalReady: false, requestToSend: false});
-                    await new Promise((r) => setTimeout(r, 500));
-                } catch (err) {
-                    console.warn("setSignals failed (continuing):", err);
-                }
-
-                await this.setupRepl();
-
-                // Give CP time to boot, then send extra Ctrl-C to interrupt
-                // code.py / safe mode prompts and force a fresh ">>>".
-                for (let i = 0; i < 4; i++) {
-                    await new Promise((r) => setTimeout(r, 750));
-                    try {
-                        await this.serialTransmit("\x03");
-                    } catch (e) {
-                        console.warn("follow-up Ctrl-C failed:", e);
-                    }
-                }
-                await this.nextStep();
-                return;
-            } catch (err) {
-                console.warn("Could not reuse already-open port; falling back to manual reconnect:", err);
-                this.replSerialDevice = null;
-            }
-        }
-
-        const serialPortName = await this.getSerialPortName();
-        let serialPortInstructions ="There may be several devices listed. If you aren't sure which to choose, look for one that includes the name of your microcontroller.";
-        if (serialPortName) {
-            serialPortInstructions =`There may be several devices listed, but look for one called something like ${serialPortName}.`
-        }
-        this.showDialog(this.dialogs.cpSerial, {
-            serialPortInstructions: serialPortInstructions
-        });
-    }
-
-    async stepCredentials() {
-        // Talking to the board over the REPL can take several seconds while
-        // we read settings.toml; show a spinner so the UI doesn't appear hung.
-        this.showDialog(this.dialogs.actionWaiting, {
-            action: "Reading current settings from the board...",
-        });
-        // We may want to see if the board has previously been set up and fill in any values from settings.toml and boot.py
-        this.tomlSettings = await this.getCurrentSettings();
-        const parameters = {
-            wifi_ssid: this.getSetting('CIRCUITPY_WIFI_SSID'),
-            wifi_password: this.getSetting('CIRCUITPY_WIFI_PASSWORD'),
-            api_password: this.getSetting('CIRCUITPY_WEB_API_PASSWORD', 'passw0rd'),
-            api_port: this.getSetting('CIRCUITPY_WEB_API_PORT', 80),
-        }
-
-        if (this.hasNativeUsb()) {
-            // TODO: Currently the control is just disabled and not used because we don't have anything to modify boot.py in place.
-            // Setting mass_storage_disabled to true/false will display the checkbox with the appropriately checked state.
-            //parameters.mass_storage_disabled = true;
-            // This can be updated to use FileOps for ease of implementation
-        }
+        if (this.hasNativeUsb()) {
+            // TODO: Currently the control is just disabled and not used because we don't have anything to modify boot.py in place.
+            // Setting mass_storage_disabled to true/false will display the checkbox with the appropriately checked state.
+            //parameters.mass_storage_disabled = true;
+            // This can be updated to use FileOps for ease of implementation
+        }
 
         // Display Credentials Request Dialog
         this.showDialog(this.dialogs.credentials, parameters);
     }
 
     async stepSuccess() {
-        let deviceHostInfo = {};
         if (this.repl) {
             // After writeSettings the board is rebooting and we have to wait
             // for the next REPL prompt + read network info; surface that as
             // a waiting state instead of leaving the form dialog up.
             this.showDialog(this.dialogs.actionWaiting, {
-                action: "Waiting for the board to come back online...",
+                action: this.t("progress.waitingForBoard"),
             });
-            await this.repl.waitForPrompt();
-            // If we were setting up Web Workflow, we may want to provide a link to code.circuitpython.org
-            if (this.currentFlow && this.currentFlow.steps.includes(this.stepCredentials)) {
-                deviceHostInfo = await this.getDeviceHostInfo();
-            }
         }
+        const deviceHostInfo = await this.waitForDeviceHostInfo();
+        this.completeFlow(this.getInstallResult(deviceHostInfo));
 
         // Display Success Dialog
         this.showDialog(this.dialogs.success, deviceHostInfo);
@@ -1116,16 +2284,50 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         this.closeDialog();
     }
 
+    ////////// HEADLESS STEP HELPERS //////////
+
+    async headlessEraseAll(options) {
+        const erase = options.erase || this.advancedSettings.erase;
+        this.eraseRegions = null;
+        if (erase == "none") {
+            return;
+        }
+        if (erase == "firmware") {
+            let partitions;
+            try {
+                partitions = await this.readPartitionTable();
+            } catch (err) {
+                throw new InstallError(this.t("error.partitionTableUnreadable", {error: err.message}), "erase-failed");
+            }
+            this.eraseRegions = partitions.filter((partition) =>
+                this.isFirmwarePartition(partition) || (options.keepNvs === false && partition.subtype == "nvs")
+            );
+        } else if (erase != "all") {
+            throw new InstallError(`Unknown erase option ${erase}`, "invalid-options");
+        }
+        await this.eraseDevice();
+    }
+
+    // The bootDrive or circuitpyDrive option of install(), a directory
+    // handle or an async function that returns one
+    async headlessDrive(drive) {
+        let dirHandle;
+        try {
+            dirHandle = typeof drive == "function" ? await drive() : drive;
+        } catch (err) {
+            throw new InstallError(this.t("error.noDriveSelected", {reason: err.message}), err.name == "AbortError" ? "cancelled" : "permission-denied");
+        }
+        if (!dirHandle) {
+            throw new InstallError(this.t("error.noDriveSelected", {reason: "no drive was given"}), "drive-required");
+        }
+        if (!await this._verifyPermission(dirHandle)) {
+            throw new InstallError(this.t("error.folderNotWritable"), "permission-denied");
+        }
+        return dirHandle;
+    }
+
     ////////// HANDLERS //////////
 
-    // Handler for the "Continue Manually" button on fsapiUnavailable.
-    // The user has chosen to copy the UF2 themselves rather than
-    // switching browsers, so swap the drive-picker tail of the current
-    // flow for the manual variants. The welcome + fsapi-check steps
-    // stay in place at the current index so the Previous button still
-    // has something to go back to. We mutate currentFlow.steps in
-    // place so previousButton / nextButton step counts stay correct,
-    // then advance into the install. (Issue #24)
     // Handler for the "Install .bin Instead" button on fsapiUnavailable.
     // The user has chosen to skip the UF2 path entirely and just flash
     // the .bin firmware over USB. This swaps out the current flow for
@@ -1139,41 +2341,30 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
     // honors that gate, but the dialog is the user's informed-consent
     // escape hatch where the gate is intentionally relaxed.
     //
-    // We start at step 1 (stepSerialConnect) instead of step 0
-    // (stepWelcome) because the user already saw uf2FullProgram's
-    // welcome dialog moments ago and there's no point showing it
-    // again. (Issue #24)
+    // We start at stepSerialConnect instead of stepWelcome because
+    // the user already saw uf2FullProgram's welcome dialog moments ago
+    // and there's no point showing it again. Passing the uf2 run as
+    // the parent makes Previous from there land the user back on the
+    // fsapiUnavailable dialog they chose this from. (Issue #24)
     async installBinInsteadHandler(e) {
-        const binFlow = this.flows.binFullProgram;
-        if (!binFlow || !this.binFileUrl) {
+        if (!this.flows.binFullProgram || !this.binFileUrl) {
             // Shouldn't happen because the button is hidden when no
             // .bin URL is configured, but guard anyway.
-            this.errorMsg("The .bin install option isn't available for this board.");
+            this.errorMsg(this.t("error.binUnavailable"));
             return;
         }
         this.closeDialog();
-        // Inline runFlow() but start at step 1 (stepSerialConnect) to
-        // skip stepWelcome, which the user already saw via
-        // uf2FullProgram. Snapshot bin flow's step list defensively in
-        // case it ever grows mutating handlers like uf2FullProgram has.
-        // We also set _returnToUf2Welcome on the bin flow so that
-        // hitting Previous from stepSerialConnect lands the user back
-        // at uf2FullProgram's welcome dialog (where they started), not
-        // at binFullProgram's own welcome. The override is consumed
-        // by stepWelcome; if the user later starts the bin flow fresh
-        // from the menu, stepWelcome's restore logic clears the flag.
-        // (Issue #24)
-        this.currentFlow = binFlow;
-        if (!this.currentFlow._originalSteps) {
-            this.currentFlow._originalSteps = this.currentFlow.steps.slice();
-        } else {
-            this.currentFlow.steps = this.currentFlow._originalSteps.slice();
-        }
-        this.currentFlow._returnToUf2Welcome = true;
-        this.currentStep = 1;
-        await this.currentFlow.steps[this.currentStep].bind(this)();
+        await this.runFlow("binFullProgram", {startAt: "stepSerialConnect", parent: this.currentFlow});
     }
 
+    // Handler for the "Continue Manually" button on fsapiUnavailable.
+    // The user has chosen to copy the UF2 themselves rather than
+    // switching browsers, so swap the drive-picker tail of this run
+    // for the manual variants. The welcome + fsapi-check steps stay
+    // in place so the Previous button still has something to go back
+    // to, then we advance into the install. Only this run changes;
+    // the next run of uf2FullProgram starts from its definition.
+    // (Issue #24)
     async continueManuallyHandler(e) {
         if (!this.currentFlow) {
             // No flow is active, which shouldn't be possible from this
@@ -1181,23 +2372,190 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
             this.closeDialog();
             return;
         }
-        // Drop everything after the current step (the FSAPI-check step)
-        // and graft on the manual sub-flow. The serial-connect /
-        // confirm / erase / bootloader steps stay in place: we still
-        // want to flash the UF2 bootloader for the user, we just can't
-        // copy the UF2 onto the BOOT drive for them.
-        const manualTail = [
+        // The serial-connect / confirm / erase / bootloader steps stay:
+        // we still want to flash the UF2 bootloader for the user, we
+        // just can't copy the UF2 onto the BOOT drive for them.
+        this.replaceRemainingSteps([
             this.stepSerialConnect,
             this.stepConfirm,
+            this.stepBackupFlash,
             this.stepEraseAll,
             this.stepBootloader,
             this.stepManualBootCopy,
             this.stepManualCircuitPyWait,
             this.stepManualSuccess,
-        ];
-        this.currentFlow.steps = this.currentFlow.steps
-            .slice(0, this.currentStep + 1)
-            .concat(manualTail);
+        ]);
+        await this.nextStep();
+    }
+
+    // Menu entry for installing firmware the user built or downloaded
+    // themselves. The type of file decides how it gets installed.
+    async installFromFileHandler(e) {
+        this.currentFlow = null;
+        this.showDialog(this.dialogs.fileSelect, {
+            title: this.t("installFromFile.title"),
+            instructions: this.tHtml("installFromFile.instructions"),
+            accept: ".bin,.uf2,.zip",
+            onSelect: async (file) => {
+                const filename = file.name.toLowerCase();
+                if (filename.endsWith(".uf2")) {
+                    if (!this.hasFileSystemAccess) {
+                        this.errorMsg(this.t("error.fsapiUf2"));
+                        return;
+                    }
+                    await this.runFlow(this.flows.localUf2Program);
+                } else if (filename.endsWith(".zip")) {
+                    await this.runFlow(this.flows.localBootloaderProgram);
+                } else {
+                    await this.runFlow(this.flows.localBinProgram);
+                }
+            },
+        });
+    }
+
+    // Manifests use the esp-web-tools manifest.json format:
+    // {name, version, builds: [{chipFamily: "ESP32-S3", parts: [{path, offset}]}]}
+    // Part paths are relative to the manifest. As an extension, a part may
+    // also name a file to "extract" from a zip at its path.
+    async loadManifest() {
+        if (!this.manifest) {
+            const response = await fetch(this.manifestUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} fetching ${this.manifestUrl}`);
+            }
+            const manifest = await response.json();
+            if (!manifest || !Array.isArray(manifest.builds)) {
+                throw new Error("Manifest has no builds");
+            }
+            for (const build of manifest.builds) {
+                if (typeof build.chipFamily !== "string" || !Array.isArray(build.parts)
+                    || build.parts.some((part) => typeof part.path !== "string" || isNaN(parseInt(part.offset)))) {
+                    throw new Error("Manifest build is missing its chipFamily or has invalid parts");
+                }
+            }
+            this.manifest = manifest;
+        }
+        return this.manifest;
+    }
+
+    // The manifest build for the connected chip
+    async findManifestBuild() {
+        let build;
+        try {
+            build = await this.getManifestBuild(this.esploader.chip.CHIP_NAME);
+        } catch (err) {
+            this.logMsg(`Unable to load manifest: ${err}`);
+            throw new InstallError(this.t("error.manifestUnavailable", {url: this.manifestUrl}), "download-failed");
+        }
+        if (!build) {
+            throw new InstallError(this.t("error.manifestNoBuild", {chip: this.esploader.chip.CHIP_NAME}), "wrong-chip");
+        }
+        return build;
+    }
+
+    // Download all the parts of a manifest build and flash them
+    async flashManifestBuild(build) {
+        // Download (and if needed extract) every part before writing anything
+        const images = [];
+        for (const part of build.parts) {
+            const url = new URL(part.path, new URL(this.manifestUrl, location.href)).href;
+            const [filename, extracted_filename, fileBlob] = await this.downloadAndExtract(url, part.extract || null);
+            images.push({
+                name: extracted_filename || filename,
+                data: new Uint8Array(await this.readBlobAsArrayBuffer(fileBlob)),
+                address: parseInt(part.offset),
+            });
+        }
+
+        const description = [this.manifest.name, this.manifest.version].filter(Boolean).join(" ");
+        await this.flashImages(images, this.tHtml("progress.flashingManifest", {firmware: description, count: images.length}));
+    }
+
+    async getManifestBuild(chipName) {
+        const manifest = await this.loadManifest();
+        return manifest.builds.find((build) => build.chipFamily.toUpperCase() == chipName.toUpperCase()) || null;
+    }
+
+    async isChipCompatible(chipName) {
+        if (this.currentFlow && this.currentFlow.id == "manifestProgram") {
+            try {
+                return !!(await this.getManifestBuild(chipName));
+            } catch (err) {
+                // stepFlashManifest explains what went wrong with the manifest
+                return true;
+            }
+        }
+        return this.chipFamily == `${chipName}`.toLowerCase().replaceAll("-", "");
+    }
+
+    async fileSelectHandler(file, data) {
+        if (!file) {
+            return;
+        }
+        const accepted = data.accept.split(",").map((extension) => extension.trim().toLowerCase());
+        if (!accepted.some((extension) => file.name.toLowerCase().endsWith(extension))) {
+            this.showDialog(this.dialogs.fileSelect, {
+                ...data,
+                file: null,
+                error: this.t("fileSelect.unsupported", {file: file.name, types: accepted.join(", ")}),
+            });
+            return;
+        }
+        this.selectedFile = file;
+        this.logMsg(`Selected ${file.name} (${file.size} bytes)`);
+        if (data.onSelect) {
+            await data.onSelect(file);
+        } else {
+            // Show which file was picked and enable Next
+            this.showDialog(this.dialogs.fileSelect, {...data, file: file, error: null});
+        }
+    }
+
+    // Erase the whole flash, or just eraseRegions if those are set
+    async eraseDevice() {
+        if (this.eraseRegions) {
+            try {
+                for (const partition of this.eraseRegions) {
+                    this.showDialog(this.dialogs.actionWaiting, {
+                        action: this.t("progress.erasingPartition", {partition: partition.label}),
+                    });
+                    await this.eraseRegion(partition.offset, partition.size);
+                }
+            } catch (err) {
+                this.logMsg(`Erase region failed: ${err}`);
+                throw new InstallError(this.t("error.eraseFailed"), "erase-failed");
+            }
+            return;
+        }
+        // Display Erase Dialog
+        this.showDialog(this.dialogs.actionWaiting, {
+            action: this.t("progress.erasing"),
+        });
+        try {
+            await this.esploader.eraseFlash();
+        } catch (err) {
+            this.logMsg(`Erase failed: ${err}`);
+            throw new InstallError(this.t("error.eraseFailed"), "erase-failed");
+        }
+    }
+
+    // The app and OTA data partitions hold the firmware itself. Everything
+    // else, including the filesystem, is left alone when keeping files.
+    isFirmwarePartition(partition) {
+        return partition.type == "app" || (partition.type == "data" && partition.subtype == "ota");
+    }
+
+    async confirmEraseHandler(e) {
+        const backupCheckbox = this.currentDialogElement.querySelector("#backupBeforeErase");
+        this.backupBeforeErase = !!backupCheckbox && backupCheckbox.checked;
+        const keepFilesystemCheckbox = this.currentDialogElement.querySelector("#keepFilesystem");
+        if (keepFilesystemCheckbox && keepFilesystemCheckbox.checked) {
+            const keepNvs = this.currentDialogElement.querySelector("#keepNvs").checked;
+            this.eraseRegions = this.partitionTable.filter((partition) =>
+                this.isFirmwarePartition(partition) || (!keepNvs && partition.subtype == "nvs")
+            );
+        }
+        // Flows without a backup step go straight to stepEraseAll
         await this.nextStep();
     }
 
@@ -1209,7 +2567,7 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         // into this handler, fail loudly with a user-facing message
         // instead of silently swallowing the TypeError as "user cancelled".
         if (!this.hasFileSystemAccess) {
-            this.errorMsg("Your browser doesn't support the FileSystem API, so this installer can't pick the bootloader drive automatically. Try Chrome, Edge, or Opera (version 89 or newer).");
+            this.errorMsg(this.t("error.fsapiBootDrive"));
             return;
         }
         const bootloaderVolume = await this.getBootDriveName();
@@ -1223,12 +2581,12 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
             return;
         }
         if (bootloaderVolume && bootloaderVolume != dirHandle.name) {
-            if (!confirm(`The selected drive named ${dirHandle.name} does not match the expected name of ${bootloaderVolume}. Continue anyways?`)) {
+            if (!confirm(this.t("bootDriveSelect.wrongDrive", {drive: dirHandle.name, expected: bootloaderVolume}))) {
                 return;
             }
         }
         if (!await this._verifyPermission(dirHandle)) {
-            alert("Unable to write to the selected folder");
+            alert(this.t("error.folderNotWritable"));
             return;
         }
 
@@ -1240,7 +2598,7 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         // Same belt-and-suspenders guard as bootDriveSelectHandler.
         // (Issue #24)
         if (!this.hasFileSystemAccess) {
-            this.errorMsg("Your browser doesn't support the FileSystem API, so this installer can't pick the CIRCUITPY drive automatically. Try Chrome, Edge, or Opera (version 89 or newer).");
+            this.errorMsg(this.t("error.fsapiCircuitpyDrive"));
             return;
         }
         let dirHandle;
@@ -1254,11 +2612,11 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         }
         // Check if boot_out.txt exists
         if (!(await this.getBootOut(dirHandle))) {
-            alert(`Expecting a folder with boot_out.txt. Please select the root folder of your CIRCUITPY drive.`);
+            alert(this.t("error.notCircuitpyDrive"));
             return;
         }
         if (!await this._verifyPermission(dirHandle)) {
-            alert("Unable to write to the selected folder");
+            alert(this.t("error.folderNotWritable"));
             return;
         }
 
@@ -1266,21 +2624,87 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         await this.nextStep();
     }
 
+    async circuitpyBackupHandler(e, toFolder) {
+        const showError = (error) => {
+            this.showDialog(this.dialogs.circuitpyBackup, {boardName: this.boardName, error: error});
+        };
+
+        let sourceHandle, backupHandle, backupName;
+        try {
+            sourceHandle = await window.showDirectoryPicker({mode: 'read'});
+        } catch (err) {
+            // Likely the user cancelled the dialog
+            return;
+        }
+        if (!(await this.getBootOut(sourceHandle))) {
+            showError(this.t("error.notCircuitpyDrive"));
+            return;
+        }
+
+        try {
+            if (toFolder) {
+                backupHandle = await window.showDirectoryPicker({mode: 'readwrite'});
+                backupName = this.t("circuitpyBackup.folder", {folder: backupHandle.name});
+            } else {
+                // Origin private file system. Only one backup is kept.
+                const root = await navigator.storage.getDirectory();
+                await root.removeEntry(CIRCUITPY_BACKUP_DIR, {recursive: true}).catch(() => {});
+                backupHandle = await root.getDirectoryHandle(CIRCUITPY_BACKUP_DIR, {create: true});
+                backupName = this.t("circuitpyBackup.browserStorage");
+            }
+        } catch (err) {
+            if (err.name != "AbortError") {
+                showError(this.t("error.backupLocation", {error: err.message}));
+            }
+            return;
+        }
+        if (toFolder && !await this._verifyPermission(backupHandle)) {
+            showError(this.t("error.folderNotWritable"));
+            return;
+        }
+
+        this.showDialog(this.dialogs.actionProgress, {
+            action: this.t("progress.backingUpCircuitpy", {backup: backupName}),
+        });
+        try {
+            const files = await this.listDirectoryFiles(sourceHandle);
+            const failed = await this.copyFiles(files, backupHandle, "circuitpy-backup");
+            if (failed.length) {
+                showError(this.t("error.backupPartial", {failed: failed.length, total: files.length, files: failed.join(", ")}));
+                return;
+            }
+            this.logMsg(`Backed up ${files.length} files from CIRCUITPY to ${backupName}`);
+        } catch (err) {
+            showError(this.t("error.backupCircuitpy", {error: err.message}));
+            return;
+        }
+
+        this.circuitpyBackup = {handle: backupHandle, name: backupName, inBrowser: !toFolder};
+        await this.nextStep();
+    }
+
+    async circuitpyRestoreHandler(e) {
+        this.showDialog(this.dialogs.actionProgress, {
+            action: this.t("progress.restoringCircuitpy"),
+        });
+        const files = this.circuitpyBackup.files;
+        const failed = await this.copyFiles(files, this.circuitpyDriveHandle, "circuitpy-restore");
+        this.logMsg(`Restored ${files.length - failed.length} of ${files.length} files to CIRCUITPY`);
+        if (failed.length) {
+            this.warnMsg(this.t("error.restorePartial", {
+                count: failed.length,
+                files: failed.join(", "),
+                backup: this.circuitpyBackup.name,
+            }));
+            return;
+        }
+        await this.nextStep();
+    }
+
     async espToolConnectHandler(e) {
-        await this.onReplDisconnected(e);
-        await this.espDisconnect();
-        await this.setBaudRateIfChipSupports(PREFERRED_BAUDRATE);
         try {
-            this.updateEspConnected(this.connectionStates.CONNECTING);
-            await this.espConnect({
-                log: (...args) => this.logMsg(...args),
-                debug: (...args) => {},
-                error: (...args) => this.errorMsg(...args),
-            });
-            this.updateEspConnected(this.connectionStates.CONNECTED);
+            await this.connectToChip();
         } catch (err) {
-            // It's possible the dialog was also canceled here
-            this.updateEspConnected(this.connectionStates.DISCONNECTED);
             if (err instanceof NotRomBootloaderError) {
                 // The user picked an obviously-wrong port (e.g. TinyUF2 CDC
                 // or a running CircuitPython port). Surface the specific
@@ -1293,38 +2717,66 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
                 this.warnMsg(err.message);
                 this.showDialog(this.dialogs.notRomBootloader, { message: err.message });
             } else {
-                this.errorMsg("Unable to open Serial connection to board. Make sure the port is not already in use by another application or in another browser tab. If installing the bootloader, make sure you are in ROM bootloader mode.");
+                this.errorMsg(err.message, err.code);
             }
             return;
         }
 
+        await this.nextStep();
+    }
+
+    // Ask for the port (unless one is passed in), connect to the ROM
+    // bootloader and check the chip is the one the flow is for. Throws an InstallError if any of that fails.
+    async connectToChip(port = null) {
+        await this.onReplDisconnected();
+        await this.espDisconnect();
+        if (port) {
+            this.device = port;
+        }
+        await this.setBaudRateIfChipSupports(this.advancedSettings.baudRate);
+        try {
+            this.updateEspConnected(this.connectionStates.CONNECTING);
+            await this.espConnectWithFallback(this.espLogger());
+            this.updateEspConnected(this.connectionStates.CONNECTED);
+        } catch (err) {
+            // It's possible the dialog was also canceled here
+            this.updateEspConnected(this.connectionStates.DISCONNECTED);
+            this.logMsg(`Connection failed: ${err}`);
+            if (err instanceof NotRomBootloaderError) {
+                throw err;
+            }
+            throw new InstallError(this.t("error.connectFailed"), "connect-failed");
+        }
+
+        let compatible;
         try {
             this.logMsg(`Connected to ${this.esploader.chip.CHIP_NAME}`);
 
             // check chip compatibility
-            if (this.chipFamily == `${this.esploader.chip.CHIP_NAME}`.toLowerCase().replaceAll("-", "")) {
+            compatible = await this.isChipCompatible(this.esploader.chip.CHIP_NAME);
+            if (compatible) {
                 this.logMsg("This chip checks out");
+                // Kept with the run since disconnecting clears deviceInfo
+                this.currentFlow.deviceInfo = await this.readDeviceInfo();
 
                 // esploader-js doesn't have a disconnect event, so we can't use this
                 //this.esploader.addEventListener("disconnect", () => {
                 //    this.updateEspConnected(this.connectionStates.DISCONNECTED);
                 //});
-
-                await this.nextStep();
-                return;
             }
-
-            // Can't use it so disconnect now
-            this.errorMsg("Oops, this is the wrong firmware for your board.")
-            await this.espDisconnect();
-
         } catch (err) {
             if (this.transport) {
                 await this.transport.disconnect();
             }
             // Disconnection before complete
             this.updateEspConnected(this.connectionStates.DISCONNECTED);
-            this.errorMsg("Oops, we lost connection to your board before completing the install. Please check your USB connection and click Connect again. Refresh the browser if it becomes unresponsive.")
+            throw new InstallError(this.t("error.connectionLost"), "connection-lost");
+        }
+
+        if (!compatible) {
+            // Can't use it so disconnect now
+            await this.espDisconnect();
+            throw new InstallError(this.t("error.wrongChip"), "wrong-chip");
         }
     }
 
@@ -1348,10 +2800,9 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         const butConnect = this.currentDialogElement
             ? this.currentDialogElement.querySelector("#butConnect")
             : null;
-        const butConnectOriginalText = butConnect ? butConnect.innerText : null;
         if (butConnect) {
             butConnect.disabled = true;
-            butConnect.innerText = "Connecting…";
+            butConnect.innerText = this.t("connection.connecting");
         }
 
         try {
@@ -1360,36 +2811,154 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
 
             await this.onReplDisconnected(e);
 
-            // Connect to the Serial Port and interact with the REPL
-            try {
-                this.replSerialDevice = await navigator.serial.requestPort();
-            } catch (err) {
-                // Likely the user cancelled the chooser dialog
-                return;
-            }
+            try {
+                await this.connectRepl();
+            } catch (err) {
+                // Most likely the user cancelled the chooser dialog
+                if (err.code != "cancelled") {
+                    console.error(err.message);
+                }
+                return;
+            }
+
+            this.nextStep();
+        } finally {
+            this._cpSerialConnectInFlight = false;
+            if (butConnect) {
+                butConnect.disabled = false;
+                // Let the onUpdate handler reflect the new state on next render.
+                butConnect.innerText = this.t(!!this.replSerialDevice ? "connection.connected" : "connection.connect");
+            }
+        }
+    }
+
+    // Open the REPL on the port we just flashed over. Returns false if that
+    // didn't work and the user needs to pick the port again.
+    async reuseFlashPortForRepl() {
+        // Don't close the SerialPort between flash and REPL. On Pi 5 + CP2104
+        // (and likely other USB-serial bridges) port.close() can hang
+        // indefinitely after esptool-js's transport.disconnect(), and even
+        // after a successful reopen the device often goes silent. Instead,
+        // release esptool-js's hold on the port (reader/writer locks) WITHOUT
+        // closing it, then reuse the same open port directly for REPL. The
+        // port is already at 115200 baud, which is what CircuitPython REPL
+        // uses. (Issue #22)
+        const reusablePort = (this.transport && this.transport.device) || this.device;
+
+        if (reusablePort) {
+            try {
+                // Release esptool-js's reader/writer locks without closing.
+                if (this.transport) {
+                    try {
+                        if (this.transport.reader) {
+                            try { await this.transport.reader.cancel(); } catch (e) { /* ignore */ }
+                            try { this.transport.reader.releaseLock(); } catch (e) { /* ignore */ }
+                            this.transport.reader = undefined;
+                        }
+                        if (this.transport.writer) {
+                            try { this.transport.writer.releaseLock(); } catch (e) { /* ignore */ }
+                            this.transport.writer = undefined;
+                        }
+                    } catch (e) {
+                        console.warn("Could not release esptool-js locks (continuing):", e);
+                    }
+                    // Drop our refs to the transport but DO NOT call its
+                    // disconnect() method (which would close the port).
+                    this.transport = null;
+                    this.device = null;
+                    this.chip = null;
+                    this.updateEspConnected(this.connectionStates.DISCONNECTED);
+                }
+
+                this.replSerialDevice = reusablePort;
+
+                // The port is currently at the flash baud (e.g. 921600)
+                // and Web Serial doesn't support changing baud on an open
+                // port, so we must close and reopen at REPL baud (115200).
+                // close() can hang on Pi/CP2104 so we race it with a timeout
+                // and continue regardless.
+                try {
+                    await Promise.race([
+                        reusablePort.close(),
+                        new Promise((_, reject) => setTimeout(() => reject(new Error("close() timeout")), 2500)),
+                    ]);
+                } catch (err) {
+                    // close() can hang on CP2104; we proceed regardless.
+                }
+                await new Promise((r) => setTimeout(r, 400));
+
+                // Reopen at REPL baud. May still report InvalidStateError
+                // if the platform is mid-close; retry with backoff.
+                let opened = false;
+                const openErrors = [];
+                for (let attempt = 0; attempt < 8 && !opened; attempt++) {
+                    try {
+                        await Promise.race([
+                            reusablePort.open({baudRate: ESP_ROM_BAUD}),
+                            new Promise((_, reject) => setTimeout(() => reject(new Error("open() timeout")), 3000)),
+                        ]);
+                        opened = true;
+                    } catch (err) {
+                        openErrors.push(err && err.message ? err.message : String(err));
+                        if (err && err.name === "InvalidStateError") {
+                            await new Promise((r) => setTimeout(r, 400));
+                            continue;
+                        }
+                        throw err;
+                    }
+                }
+                if (!opened) {
+                    throw new Error(`Could not reopen port at REPL baud (attempts: ${openErrors.join(" | ")})`);
+                }
+
+                // Toggle DTR/RTS to reset the chip into normal boot.
+                try {
+                    await reusablePort.setSignals({dataTerminalReady: false, requestToSend: true});
+                    await new Promise((r) => setTimeout(r, 100));
+                    await reusablePort.setSignals({dataTerminalReady: false, requestToSend: false});
+                    await new Promise((r) => setTimeout(r, 500));
+                } catch (err) {
+                    console.warn("setSignals failed (continuing):", err);
+                }
+
+                await this.setupRepl();
 
-            try {
-                await this.replSerialDevice.open({baudRate: ESP_ROM_BAUD});
+                // Give CP time to boot, then send extra Ctrl-C to interrupt
+                // code.py / safe mode prompts and force a fresh ">>>".
+                for (let i = 0; i < 4; i++) {
+                    await new Promise((r) => setTimeout(r, 750));
+                    try {
+                        await this.serialTransmit("\x03");
+                    } catch (e) {
+                        console.warn("follow-up Ctrl-C failed:", e);
+                    }
+                }
+                return true;
             } catch (err) {
-                console.error("Error. Unable to open Serial Port. Make sure it isn't already in use in another tab or application.");
-                // Drop the unusable port so a retry doesn't try to reuse it
+                console.warn("Could not reuse already-open port; falling back to manual reconnect:", err);
                 this.replSerialDevice = null;
-                return;
             }
+        }
+        return false;
+    }
 
-            await this.setupRepl();
+    // Ask for the CircuitPython serial port and connect to the REPL
+    async connectRepl() {
+        try {
+            this.replSerialDevice = await navigator.serial.requestPort();
+        } catch (err) {
+            throw new InstallError(this.t("error.noSerialPort"), "cancelled");
+        }
 
-            this.nextStep();
-        } finally {
-            this._cpSerialConnectInFlight = false;
-            if (butConnect) {
-                butConnect.disabled = false;
-                // Let the onUpdate handler reflect the new state on next render.
-                butConnect.innerText = !!this.replSerialDevice
-                    ? "Connected"
-                    : (butConnectOriginalText || "Connect");
-            }
+        try {
+            await this.replSerialDevice.open({baudRate: ESP_ROM_BAUD});
+        } catch (err) {
+            // Drop the unusable port so a retry doesn't try to reuse it
+            this.replSerialDevice = null;
+            throw new InstallError(this.t("error.serialPortBusy"), "connect-failed");
         }
+
+        await this.setupRepl();
     }
 
     async setupRepl() {
@@ -1461,11 +3030,176 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         }
     }
 
+    // Connect to the board in ROM bootloader mode first and use what the
+    // chip tells us to narrow down the list of boards to pick from
+    async detectBoardHandler(e) {
+        await this.espDisconnect();
+        await this.setBaudRateIfChipSupports(this.advancedSettings.baudRate);
+        try {
+            this.updateEspConnected(this.connectionStates.CONNECTING);
+            await this.espConnectWithFallback(this.espLogger());
+            this.updateEspConnected(this.connectionStates.CONNECTED);
+        } catch (err) {
+            this.updateEspConnected(this.connectionStates.DISCONNECTED);
+            this.logMsg(`Connection failed: ${err}`);
+            if (err instanceof NotRomBootloaderError) {
+                this.warnMsg(err.message);
+                this.showDialog(this.dialogs.notRomBootloader, { message: err.message });
+            } else if (err && err.name !== "NotFoundError") {
+                // NotFoundError just means the port chooser was cancelled
+                this.errorMsg(this.t("error.detectConnectFailed"));
+            }
+            return;
+        }
+
+        this.showDialog(this.dialogs.actionWaiting, {
+            action: this.t("progress.identifying"),
+        });
+        const deviceInfo = await this.readDeviceInfo();
+        const candidates = this.filterBoardsByDevice(this.boardIds, deviceInfo);
+        this.logMsg(`Boards matching this device: ${candidates.join(", ") || "none"}`);
+
+        if (candidates.length === 1) {
+            this.selectedBoardId = candidates[0];
+            this.closeDialog();
+            await this.buttonClickHandler(null, true);
+            return;
+        }
+
+        this.showDialog(this.dialogs.boardSelect, {
+            boards: this.getBoardOptions(candidates),
+            default: candidates.includes(this.selectedBoardId) ? this.selectedBoardId : null,
+            detected: deviceInfo.flashSize
+                ? this.t("boardSelect.detectedFlash", {chip: deviceInfo.chipName, size: deviceInfo.flashSize})
+                : deviceInfo.chipName,
+        });
+        this.currentDialogElement.querySelector("#availableBoards").addEventListener(
+            "change", this.updateButtons.bind(this)
+        );
+    }
+
+    // Narrow a list of board ids down to the ones that could be the
+    // connected device. Catalog entries may optionally list "flashsize"
+    // and "psramsize" (e.g. "8MB") to tell apart boards that share a chip.
+    filterBoardsByDevice(boardIds, deviceInfo) {
+        return boardIds.filter((boardId) => {
+            const boardDef = this.boardDefs[boardId];
+            if (boardDef.chipfamily != deviceInfo.chipFamily) {
+                return false;
+            }
+            if (boardDef.flashsize && deviceInfo.flashSize && boardDef.flashsize != deviceInfo.flashSize) {
+                return false;
+            }
+            // Only PSRAM in the chip package can be detected. No embedded
+            // PSRAM doesn't rule a board out since it may have it external.
+            if (boardDef.psramsize && deviceInfo.psramSize && deviceInfo.psramSize != "embedded"
+                && boardDef.psramsize != deviceInfo.psramSize) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    async retryCatalogHandler(e) {
+        this.showDialog(this.dialogs.actionWaiting, {
+            action: this.t("progress.loadingCatalog"),
+        });
+        if (await this.loadCatalog()) {
+            this.closeDialog();
+            await this.loadDeepLink(false);
+            await this.buttonClickHandler(e);
+        } else {
+            this.showDialog(this.dialogs.catalogUnavailable, {message: this.catalogError});
+        }
+    }
+
+    // Preselect the board, release and flow from a link to the page like
+    // #board=adafruit_feather_esp32s3&version=9.2.1&flow=uf2Only&autostart=1
+    // and use them on the next click, or straight away with autostart. Only
+    // the button offering the board follows the link. A link that doesn't
+    // name one of the page's boards is left to the page's only installer
+    // button, if there is just one, so a page of buttons doesn't all react.
+    async loadDeepLink(autostart = true) {
+        this.deepLink = null;
+        const params = this.getUrlParams();
+        if (!["board", "version", "flow", "autostart"].some((name) => name in params) || !this.boardIds) {
+            return;
+        }
+        const onlyButton = [...document.querySelectorAll("button")]
+            .filter((button) => button instanceof CPInstallButton).length == 1;
+        if (params.board && !this.boardIds.includes(params.board)) {
+            this.logMsg(`This button doesn't offer ${params.board}, ignoring the link`);
+            if (onlyButton) {
+                // Reported on the next click, but never opened by itself
+                this.deepLink = {error: this.t("deepLink.unknownBoard", {board: params.board})};
+            }
+            return;
+        }
+        if (!params.board && !onlyButton) {
+            return;
+        }
+        const boardId = params.board || this.selectedBoardId;
+        if (!boardId) {
+            if (params.version || params.flow) {
+                this.deepLink = {error: this.t("deepLink.noBoard")};
+            }
+        } else {
+            this.deepLink = await this.validateDeepLink(boardId, params);
+        }
+        if (this.deepLink && this.deepLink.error) {
+            this.logMsg(`Ignoring link ${location.hash}: ${this.deepLink.error}`);
+        }
+        if (autostart && ["1", "true"].includes(params.autostart)) {
+            this.click();
+        }
+    }
+
+    // Check the link's version and flow are available for the board,
+    // selecting the board and release as it goes
+    async validateDeepLink(boardId, params) {
+        this.selectedBoardId = boardId;
+        const boardName = this.boardDefs[boardId].name || boardId;
+        const releases = this.boardDefs[boardId].releases || [];
+        if (params.version) {
+            if (!releases.some((release) => release.version == params.version)) {
+                return {board: boardId, error: this.t("deepLink.unknownVersion", {version: params.version, board: boardName})};
+            }
+            this.releaseVersion = params.version;
+        }
+        await this.loadBoard(boardId);
+        if (params.flow) {
+            const flow = this.flows[params.flow];
+            if (!flow || !await flow.isEnabled()) {
+                return {board: boardId, error: this.t("deepLink.unknownFlow", {flow: params.flow, board: boardName})};
+            }
+        }
+        return {board: boardId, flow: params.flow || null};
+    }
+
     async buttonClickHandler(e, skipBoardSelector = false) {
+        if (this.catalogError || !this.boardIds) {
+            // Also covers clicks that happen before the catalog has loaded
+            this.showDialog(this.dialogs.catalogUnavailable, {
+                message: this.catalogError || this.t("error.catalogLoading"),
+            });
+            return;
+        }
+
+        // A link is only followed once. After that the button works as usual.
+        const deepLink = this.deepLink;
+        this.deepLink = null;
+        if (deepLink && deepLink.error) {
+            this.showError(deepLink.error);
+            return;
+        } else if (deepLink) {
+            skipBoardSelector = true;
+        }
+
         if (this.boardIds.length > 1 && (!this.selectedBoardId || !skipBoardSelector)) {
             this.showDialog(this.dialogs.boardSelect, {
                 boards: this.getBoardOptions(),
                 default: this.selectedBoardId,
+                detected: null,
             });
 
             this.currentDialogElement.querySelector("#availableBoards").addEventListener(
@@ -1477,9 +3211,72 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
 
         await this.loadBoard(this.selectedBoardId);
 
+        if (deepLink && deepLink.flow) {
+            await this.runFlow(deepLink.flow);
+            return;
+        }
         super.buttonClickHandler(e);
     }
 
+    resumeState() {
+        return {
+            board: this.selectedBoardId,
+            version: this.releaseVersion,
+            // A backup in browser storage can still be restored after a
+            // reload. One in a folder the user picked can't be reopened.
+            circuitpyBackup: !!this.circuitpyBackup && this.circuitpyBackup.inBrowser,
+        };
+    }
+
+    async restoreResumeState(state) {
+        if (!this.boardIds || !this.boardIds.includes(state.board)) {
+            return false;
+        }
+        this.selectedBoardId = state.board;
+        this.releaseVersion = state.version;
+        await this.loadBoard(state.board);
+        if (state.circuitpyBackup) {
+            try {
+                const root = await navigator.storage.getDirectory();
+                this.circuitpyBackup = {
+                    handle: await root.getDirectoryHandle(CIRCUITPY_BACKUP_DIR),
+                    name: this.t("circuitpyBackup.browserStorage"),
+                    inBrowser: true,
+                };
+            } catch (err) {
+                this.logMsg(`Unable to reopen the CIRCUITPY backup: ${err}`);
+            }
+        }
+        // The release may have been taken out of the catalog since
+        return !state.version || this.releaseVersion == state.version;
+    }
+
+    resumeSummary(state) {
+        const boardDef = this.boardDefs && this.boardDefs[state.board];
+        if (!boardDef) {
+            return null;
+        }
+        return this.t(state.version ? "resume.boardVersion" : "resume.board", {
+            board: boardDef.name || state.board,
+            version: state.version,
+        });
+    }
+
+    // Go back to the latest step that reconnects to the board or picks a
+    // drive again, if the step being resumed needs one. Everything done
+    // since then is skipped by nextStep().
+    resumeStep(run, stepName) {
+        const stepIndex = run.indexOf(stepName);
+        for (let index = stepIndex - 1; index >= 0; index--) {
+            const setupStep = run.steps[index].name;
+            if (setupStep in RESUME_SETUP_STEPS && RESUME_SETUP_STEPS[setupStep].includes(stepName)) {
+                stepName = setupStep;
+                break;
+            }
+        }
+        return super.resumeStep(run, stepName);
+    }
+
     async selectBoardHandler(e) {
         const selectedValue = this.currentDialogElement.querySelector("#availableBoards").value;
         if (Object.keys(this.boardDefs).includes(selectedValue)) {
@@ -1550,8 +3347,6 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
             // Replace any null characters with spaces
             this._serialPortName = matches[1].replace(/\0/g, ' ');
         }
-
-        this.removeCachedFile(this.bootloaderUrl.split("/").pop());
     }
 
     async getBootOut(dirHandle) {
@@ -1594,44 +3389,154 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         await writable.close();
     }
 
+    // Recursively list the files under a directory as [{path, handle, size}]
+    // with "/" separated paths relative to it
+    async listDirectoryFiles(dirHandle, prefix = "") {
+        let files = [];
+        for await (const [name, handle] of dirHandle.entries()) {
+            if (!prefix && CIRCUITPY_SYSTEM_FILES.includes(name)) {
+                continue;
+            }
+            if (handle.kind == "directory") {
+                files = files.concat(await this.listDirectoryFiles(handle, `${prefix}${name}/`));
+            } else {
+                const file = await handle.getFile();
+                files.push({path: `${prefix}${name}`, handle: handle, size: file.size});
+            }
+        }
+        return files;
+    }
+
+    async getFileHandleByPath(dirHandle, path) {
+        const parts = path.split("/");
+        const filename = parts.pop();
+        try {
+            for (const part of parts) {
+                dirHandle = await dirHandle.getDirectoryHandle(part);
+            }
+            return await dirHandle.getFileHandle(filename);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Copy files from listDirectoryFiles into destHandle, creating folders as
+    // needed and updating the progress for the given phase. Returns the paths
+    // that failed.
+    async copyFiles(files, destHandle, phase) {
+        const totalSize = files.reduce((total, file) => total + file.size, 0);
+        let copied = 0;
+        const failed = [];
+        for (const file of files) {
+            try {
+                const parts = file.path.split("/");
+                const filename = parts.pop();
+                let dirHandle = destHandle;
+                for (const part of parts) {
+                    dirHandle = await dirHandle.getDirectoryHandle(part, {create: true});
+                }
+                const fileHandle = await dirHandle.getFileHandle(filename, {create: true});
+                const writable = await fileHandle.createWritable();
+                await writable.write(await file.handle.getFile());
+                await writable.close();
+            } catch (err) {
+                this.logMsg(`Unable to copy ${file.path}: ${err}`);
+                failed.push(file.path);
+            }
+            copied += file.size;
+            this.updateProgress(phase, copied, totalSize);
+        }
+        return failed;
+    }
 
     //////////////// DOWNLOAD HELPERS ////////////////
 
-    addCachedFile(filename, blob) {
-        this.fileCache.push({
-            filename: filename,
-            blob: blob
-        });
+    // The cache is best effort, so a failure here should never stop an install
+    async addCachedFile(url, blob, validators = {}) {
+        try {
+            await this.fileCache.put(url, blob, validators);
+        } catch (err) {
+            console.warn(`Unable to cache ${url}:`, err);
+        }
     }
 
-    getCachedFile(filename) {
-        for (let file of this.fileCache) {
-            if (file.filename === filename) {
-                return file.contents;
-            }
+    async getCachedFile(url, sha256 = null) {
+        try {
+            return await this.fileCache.get(url, sha256);
+        } catch (err) {
+            console.warn(`Unable to read ${url} from the cache:`, err);
+            return null;
         }
-        return null;
     }
 
-    removeCachedFile(filename) {
-        for (let file of this.fileCache) {
-            if (file.filename === filename) {
-                this.fileCache.splice(this.fileCache.indexOf(file), 1);
-            }
+    async removeCachedFile(url) {
+        try {
+            await this.fileCache.remove(url);
+        } catch (err) {
+            console.warn(`Unable to remove ${url} from the cache:`, err);
         }
     }
 
-    async downloadFile(url, progressElement) {
+    async clearCacheHandler(e) {
+        await this.fileCache.clear();
+        this.logMsg("Cleared cached firmware");
+        await this.showMenu(this.t("menu.cacheCleared"));
+    }
+
+    async showAdvancedSettingsHandler(e) {
+        this.showDialog(this.dialogs.advanced, {settings: this.advancedSettings});
+    }
+
+    async resetAdvancedSettingsHandler(e) {
+        try {
+            localStorage.removeItem(ADVANCED_SETTINGS_KEY);
+        } catch (err) {
+            console.warn("Unable to remove the advanced settings:", err);
+        }
+        this.advancedSettings = {...DEFAULT_ADVANCED_SETTINGS};
+        this.logMsg("Advanced settings reset to defaults");
+        this.showDialog(this.dialogs.advanced, {settings: this.advancedSettings});
+    }
+
+    async saveAdvancedSettingsHandler(e) {
+        const value = (id) => this.currentDialogElement.querySelector(`#${id}`).value;
+        this.advancedSettings = this.sanitizeAdvancedSettings({
+            baudRate: parseInt(value("advancedBaudRate")),
+            flashMode: value("advancedFlashMode"),
+            flashFreq: value("advancedFlashFreq"),
+            flashSize: value("advancedFlashSize"),
+            erase: value("advancedErase"),
+        });
+        try {
+            localStorage.setItem(ADVANCED_SETTINGS_KEY, JSON.stringify(this.advancedSettings));
+        } catch (err) {
+            console.warn("Unable to save the advanced settings:", err);
+        }
+        this.logMsg(`Advanced settings saved: ${JSON.stringify(this.advancedSettings)}`);
+        await this.showMenu();
+    }
+
+    // Resolves with the file's Blob and its cache validators (see
+    // FirmwareCache.put()), or [null, null] after showing the error
+    async downloadFile(url) {
         let response;
         try {
             response = await fetch(url);
         } catch (err) {
-            this.errorMsg(`Unable to download file: ${url}`);
-            return null;
+            this.errorMsg(this.t("error.downloadFailed", {url: url}), "download-failed");
+            return [null, null];
+        }
+        if (!response.ok) {
+            this.errorMsg(this.t("error.downloadFailedStatus", {url: url, status: response.status}), "download-failed");
+            return [null, null];
         }
 
         const body = response.body;
         const reader = body.getReader();
+        // For gzip or brotli responses Content-Length is the compressed size,
+        // so it can only be checked against uncompressed ones. The catalog's
+        // size and SHA-256 catch a short download either way.
+        const encoded = !!response.headers.get('Content-Encoding');
         const contentLength = +response.headers.get('Content-Length');
         let receivedLength = 0;
         let chunks = [];
@@ -1642,7 +3547,7 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
             }
             chunks.push(value);
             receivedLength += value.length;
-            progressElement.value = Math.round((receivedLength / contentLength) * 100);
+            this.updateProgress("download", receivedLength, Math.max(contentLength, receivedLength));
             this.logMsg(`Received ${receivedLength} of ${contentLength}`)
         }
         let chunksAll = new Uint8Array(receivedLength);
@@ -1652,28 +3557,49 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
             position += chunk.length;
         }
 
-        let result = new Blob([chunksAll]);
+        if (contentLength && !encoded && receivedLength != contentLength) {
+            this.errorMsg(this.t("error.downloadIncomplete", {url: url, received: receivedLength, total: contentLength}), "download-failed");
+            return [null, null];
+        }
 
-        return result;
+        return [new Blob([chunksAll]), FirmwareCache.validators(response)];
     }
 
-    async downloadAndExtract(url, fileToExtract = null, cacheFile = false) {
-        // Display Progress Dialog
-        let filename = url.split("/").pop();
-        let fileBlob = this.getCachedFile(filename);
+    // url can also be a File (or Blob) the user provided, in which case
+    // there's nothing to download, cache or check against the catalog
+    async downloadAndExtract(url, fileToExtract = null) {
+        let filename, fileBlob, validators, integrity = null;
+        if (url instanceof Blob) {
+            filename = url.name || "firmware.bin";
+            fileBlob = url;
+        } else {
+            filename = url.split("/").pop();
+            integrity = this.artifactIntegrity[url];
+            fileBlob = await this.getCachedFile(url, integrity ? integrity.sha256 : null);
+            const fromCache = !!fileBlob;
 
-        if (!fileBlob) {
-            this.showDialog(this.dialogs.actionProgress, {
-                action: `Downloading ${filename}...`
-            });
+            if (fromCache) {
+                this.logMsg(`Using cached copy of ${filename}`);
+            } else {
+                // Display Progress Dialog
+                this.showDialog(this.dialogs.actionProgress, {
+                    action: this.t("progress.downloading", {file: filename})
+                });
 
-            const progressElement = this.currentDialogElement.querySelector("#stepProgress");
+                // Download the file at the url updating the progress in the process
+                [fileBlob, validators] = await this.downloadFile(url);
 
-            // Download the file at the url updating the progress in the process
-            fileBlob = await this.downloadFile(url, progressElement);
+                if (!fileBlob) {
+                    // downloadFile has already shown the error
+                    throw new InstallError(this.t("error.downloadFailed", {url: url}), "download-failed");
+                }
+            }
 
-            if (cacheFile) {
-                this.addCachedFile(filename, fileBlob);
+            // Nothing gets flashed or copied until it checks out, and a bad
+            // download shouldn't end up in the cache either
+            await this.checkIntegrity(fileBlob, integrity, filename);
+            if (!fromCache) {
+                await this.addCachedFile(url, fileBlob, validators);
             }
         }
 
@@ -1683,96 +3609,183 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
             let foundFile;
             // Update the Progress dialog
             this.showDialog(this.dialogs.actionProgress, {
-                action: html`<p>Downloaded ${filename}</p><p>Extracting ${fileToExtract}...</p>`
+                action: this.tHtml("progress.extracting", {file: filename, extract: fileToExtract})
             });
 
             // Set that to the current file to flash
             [foundFile, fileBlob] = await this.findAndExtractFromZip(fileBlob, fileToExtract);
             if (!fileBlob) {
-                this.errorMsg(`Unable to find ${fileToExtract} in ${filename}`);
-                return;
+                const message = this.t("error.fileNotInZip", {file: fileToExtract, zip: filename});
+                this.errorMsg(message, "download-failed");
+                throw new InstallError(message, "download-failed");
             }
             extracted_filename = foundFile;
+            if (integrity) {
+                await this.checkIntegrity(fileBlob, integrity.files[foundFile], foundFile);
+            }
         }
 
         return [filename, extracted_filename, fileBlob];
     }
 
-    async downloadAndInstall(url, fileToExtract = null, cacheFile = false) {
-        let [filename, extracted_filename, fileBlob] = await this.downloadAndExtract(url, fileToExtract, cacheFile);
-        const fileArray = [];
-
-        const readBlobAsArrayBuffer = (inputFile) => {
-            const reader = new FileReader();
-
-            return new Promise((resolve, reject) => {
-                reader.onerror = () => {
-                    reader.abort();
-                    reject(new DOMException("Problem parsing input file"));
-                };
+    async checkIntegrity(blob, expected, filename) {
+        try {
+            await this.verifyIntegrity(blob, expected, filename);
+        } catch (err) {
+            if (err instanceof IntegrityError) {
+                this.errorMsg(err.message, err.code, this.dialogs.integrityError, {filename: filename});
+            }
+            throw err;
+        }
+    }
 
-                reader.onload = () => {
-                    resolve(reader.result);
-                };
-                reader.readAsArrayBuffer(inputFile);
-            });
-        };
+    async downloadAndInstall(url, fileToExtract = null) {
+        let [filename, extracted_filename, fileBlob] = await this.downloadAndExtract(url, fileToExtract);
 
         // Update the Progress dialog
         if (fileBlob) {
-            fileArray.push({ data: new Uint8Array(await readBlobAsArrayBuffer(fileBlob)), address: 0 });
+            await this.flashImages([{
+                name: extracted_filename || filename,
+                data: new Uint8Array(await this.readBlobAsArrayBuffer(fileBlob)),
+                address: 0,
+            }], fileToExtract
+                ? this.tHtml("progress.flashingExtracted", {file: filename, extract: fileToExtract})
+                : this.tHtml("progress.flashing", {file: filename})
+            );
+        }
+    }
 
-            let lastPercent = 0;
-            this.showDialog(this.dialogs.actionProgress, {
-                action: fileToExtract
-                     ?  html`<p>Downloaded ${filename}</p><p>Extracted ${fileToExtract}</p><p>Flashing (be patient; you will see pauses)...</p>`
-                      : html`<p>Downloaded ${filename}</p>Flashing (be patient; you will see pauses)...</p>`
-            });
+    readBlobAsArrayBuffer(inputFile) {
+        const reader = new FileReader();
+
+        return new Promise((resolve, reject) => {
+            reader.onerror = () => {
+                reader.abort();
+                reject(new DOMException("Problem parsing input file"));
+            };
 
-            const progressElement = this.currentDialogElement.querySelector("#stepProgress");
-            progressElement.value = 0;
+            reader.onload = () => {
+                resolve(reader.result);
+            };
+            reader.readAsArrayBuffer(inputFile);
+        });
+    }
 
+    // Write one or more {name, data, address} images in a single writeFlash
+    // call, with one progress bar across all of them. If the write or its
+    // MD5 check fails, reconnect at the next lower baud rate and write them
+    // again, since a lot of USB-serial bridges can't keep up at 921600.
+    async flashImages(images, action) {
+        const names = images.map((image) => image.name).join(", ");
+        while (true) {
+            let error;
             try {
-                const flashOptions = {
-                    fileArray: fileArray,
-                    flashSize: "keep",
-                    eraseAll: false,
-                    compress: true,
-                    reportProgress: (fileIndex, written, total) => {
-                        let percentage = Math.round((written / total) * 100);
-                        if (percentage > lastPercent) {
-                            progressElement.value = percentage;
-                            this.logMsg(`${percentage}% (${written}/${total})...`);
-                            lastPercent = percentage;
-                        }
-                    },
-                    // Enable post-flash MD5 verification. Without this,
-                    // esptool-js skips its readback hash check, which can
-                    // mask flash-write corruption on some USB-serial
-                    // bridges (e.g. Pi 5 + CP2104, see issue #22).
-                    //
-                    // The host page is responsible for loading a hashing
-                    // library; CryptoJS is recommended. If no compatible
-                    // library is present we return null and esptool-js
-                    // simply skips verification (matching the previous
-                    // behavior).
-                    calculateMD5Hash: (image) => {
-                        if (typeof CryptoJS !== "undefined"
-                            && CryptoJS.MD5
-                            && CryptoJS.lib && CryptoJS.lib.WordArray
-                            && CryptoJS.enc && CryptoJS.enc.Hex) {
-                            const wordArray = CryptoJS.lib.WordArray.create(image);
-                            return CryptoJS.MD5(wordArray).toString(CryptoJS.enc.Hex);
-                        }
-                        return null;
-                    },
-                };
-                await this.esploader.writeFlash(flashOptions);
+                await this.writeImages(images, action);
+                this.logMsg(`Flash contents verified, written at ${this.baudRate} baud`);
+                return;
             } catch (err) {
-                this.errorMsg(`Unable to flash file: ${fileToExtract}. Error Message: ${err}`);
-                throw err;  // don't proceed to setup REPL on a bad flash
+                error = err;
+            }
+
+            const lowerBaud = this.device ? this.nextLowerBaudRate() : null;
+            if (lowerBaud) {
+                this.logMsg(`Flashing at ${this.baudRate} baud failed (${error}), retrying at ${lowerBaud} baud`);
+                this.showDialog(this.dialogs.actionWaiting, {
+                    action: this.t("progress.retryingBaud", {baud: lowerBaud}),
+                });
+                try {
+                    await this.resetConnection(lowerBaud);
+                    this.updateEspConnected(this.connectionStates.CONNECTING);
+                    await this.espConnectWithFallback(this.espLogger());
+                    this.updateEspConnected(this.connectionStates.CONNECTED);
+                    continue;
+                } catch (err) {
+                    this.updateEspConnected(this.connectionStates.DISCONNECTED);
+                    this.logMsg(`Unable to reconnect at ${this.baudRate} baud: ${err}`);
+                }
             }
+
+            if (String(error && error.message).includes("MD5 of file does not match")) {
+                const verifyError = new FlashVerificationError(this.t("error.verifyMismatch", {files: names}));
+                this.errorMsg(verifyError.message, verifyError.code, this.dialogs.verifyFailed, {filename: names});
+                throw verifyError;
+            }
+            const message = this.t("error.flashFailed", {files: names, error: error});
+            this.errorMsg(message, "flash-failed");
+            throw new InstallError(message, "flash-failed");  // don't proceed to setup REPL on a bad flash
+        }
+    }
+
+    // The Advanced flash size, unless it's bigger than the flash on the
+    // board. The bootloader would then read past the end of the flash.
+    async flashSizeSetting() {
+        const flashSize = this.advancedSettings.flashSize;
+        if (["keep", "detect"].includes(flashSize)) {
+            return flashSize;
+        }
+        const deviceInfo = this.currentFlow && this.currentFlow.deviceInfo;
+        const detectedSize = deviceInfo ? deviceInfo.flashSize : null;
+        if (detectedSize && this.esploader.flashSizeBytes(flashSize) > this.esploader.flashSizeBytes(detectedSize)) {
+            this.logMsg(`Ignoring the ${flashSize} flash size setting, since this board only has ${detectedSize} of flash`);
+            return "keep";
         }
+        return flashSize;
+    }
+
+    // One attempt at writing the images for flashImages()
+    async writeImages(images, action) {
+        const showProgress = () => {
+            this.showDialog(this.dialogs.actionProgress, {action: action});
+            this.updateProgress("flash", flashedBytes, totalSize);
+        };
+
+        // Weight each image's progress by its size
+        const totalSize = images.reduce((total, image) => total + image.data.length, 0);
+        const sizeBefore = images.map((image, index) => images.slice(0, index).reduce((total, image) => total + image.data.length, 0));
+        let flashedBytes = 0;
+        let lastPercent = 0;
+        let verifying = false;
+        showProgress();
+
+        const flashOptions = {
+            fileArray: images.map((image) => ({data: image.data, address: image.address})),
+            flashMode: this.advancedSettings.flashMode,
+            flashFreq: this.advancedSettings.flashFreq,
+            flashSize: await this.flashSizeSetting(),
+            eraseAll: false,
+            // esptool-js can only write compressed data
+            compress: true,
+            reportProgress: (fileIndex, written, total) => {
+                if (verifying && written < total) {
+                    // Moved on to the next image after verifying the last
+                    verifying = false;
+                    showProgress();
+                }
+                const fileFraction = total ? written / total : 1;
+                flashedBytes = Math.round(sizeBefore[fileIndex] + fileFraction * images[fileIndex].data.length);
+                let percentage = Math.round((flashedBytes / totalSize) * 100);
+                if (percentage > lastPercent) {
+                    this.updateProgress("flash", flashedBytes, totalSize);
+                    this.logMsg(`${percentage}% (${images[fileIndex].name} ${written}/${total})...`);
+                    lastPercent = percentage;
+                }
+                if (written >= total) {
+                    // esptool-js now reads the whole image back to
+                    // check its MD5, which takes a while with no
+                    // progress of its own
+                    verifying = true;
+                    this.showDialog(this.dialogs.actionWaiting, {
+                        action: this.t("progress.verifying", {file: images[fileIndex].name}),
+                    });
+                }
+            },
+            // Post-flash MD5 verification. Without this, esptool-js
+            // skips its readback hash check, which can mask
+            // flash-write corruption on some USB-serial bridges
+            // (e.g. Pi 5 + CP2104, see issue #22).
+            calculateMD5Hash: (image) => md5Hex(image),
+        };
+        await this.esploader.writeFlash(flashOptions);
     }
 
     async downloadAndCopy(url, dirHandle = null) {
@@ -1780,17 +3793,16 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
             dirHandle = this.bootDriveHandle;
         }
         if (!dirHandle) {
-            this.errorMsg("No drive handle available");
+            this.errorMsg(this.t("error.noDriveHandle"));
             return;
         }
 
         let [filename, extracted_filename, fileBlob] = await this.downloadAndExtract(url);
         this.showDialog(this.dialogs.actionProgress, {
-            action: html`<p>Downloaded: ${filename}</p><p>Flashing...</p>`
+            action: this.tHtml("progress.downloadedCopying", {file: filename})
         });
 
-        const progressElement = this.currentDialogElement.querySelector("#stepProgress");
-        progressElement.value = 0;
+        this.updateProgress("copy", 0, fileBlob.size);
 
         const fileHandle = await dirHandle.getFileHandle(filename, {create: true});
         const writableStream = await fileHandle.createWritable();
@@ -1802,7 +3814,7 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
             await writableStream.write(chunk, {position: bytesWritten, size: chunk.size});
 
             bytesWritten += chunk.size;
-            progressElement.value = Math.round(bytesWritten / totalSize * 100);
+            this.updateProgress("copy", bytesWritten, totalSize);
             this.logMsg(`${Math.round(bytesWritten / totalSize * 100)}% (${bytesWritten} / ${totalSize}) written...`);
         }
         this.logMsg("File successfully written");
@@ -1823,7 +3835,8 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
 
         for(const zipEntry of zipContents) {
             if (zipEntry.filename.localeCompare(filename) === 0) {
-                const extractedFile = await zipEntry.getData(new zip.BlobWriter());
+                // checkSignature makes zip.js verify the entry's CRC-32
+                const extractedFile = await zipEntry.getData(new zip.BlobWriter(), {checkSignature: true});
                 return [zipEntry.filename, extractedFile];
             }
         }
@@ -1834,6 +3847,41 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
 
     //////////////// OTHER HELPERS ////////////////
 
+    // Baud rates the Advanced menu offers. Anything below the ROM
+    // bootloader's own rate would only slow things down.
+    advancedBaudRates() {
+        return this.baudRates.filter((rate) => rate >= ESP_ROM_BAUD);
+    }
+
+    // Fill in defaults for anything missing or not one of the allowed
+    // values, so a bad or outdated saved setting can't break flashing
+    sanitizeAdvancedSettings(settings) {
+        const allowed = {
+            baudRate: this.advancedBaudRates(),
+            flashMode: FLASH_MODES,
+            flashFreq: FLASH_FREQUENCIES,
+            flashSize: FLASH_SIZES,
+            erase: ERASE_MODES,
+        };
+        const sanitized = {...DEFAULT_ADVANCED_SETTINGS};
+        for (const [key, values] of Object.entries(allowed)) {
+            if (settings && values.includes(settings[key])) {
+                sanitized[key] = settings[key];
+            }
+        }
+        return sanitized;
+    }
+
+    loadAdvancedSettings() {
+        let settings = null;
+        try {
+            settings = JSON.parse(localStorage.getItem(ADVANCED_SETTINGS_KEY));
+        } catch (err) {
+            console.warn("Unable to load the advanced settings:", err);
+        }
+        return this.sanitizeAdvancedSettings(settings);
+    }
+
     async saveCredentials() {
         this.saveSetting('CIRCUITPY_WIFI_SSID');
         this.saveSetting('CIRCUITPY_WIFI_PASSWORD');
@@ -1844,7 +3892,7 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         // which can take a noticeable amount of time. Show a spinner so the
         // wizard doesn't look frozen.
         this.showDialog(this.dialogs.actionWaiting, {
-            action: "Writing settings to the board...",
+            action: this.t("progress.writingSettings"),
         });
         await this.writeSettings(this.tomlSettings);
         if (this.hasNativeUsb()) {
@@ -1872,7 +3920,7 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
             // TODO: Compare board's boot.py to our boot.py by
             // searching for storage.disable_usb_drive() at the beginning of the line
         } else {
-            this.errorMsg("Connect to the CIRCUITPY drive or the REPL first");
+            this.errorMsg(this.t("error.notConnectedToCircuitpy"));
             return {};
         }
 
@@ -1946,7 +3994,7 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
 
             // Perform a soft restart to avoid losing the connection and get an IP address
             this.showDialog(this.dialogs.actionWaiting, {
-                action: "Waiting for IP Address...",
+                action: this.t("progress.waitingForIp"),
             });
             await this.repl.softRestart();
             try {
@@ -1967,7 +4015,7 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
             const contents = toml.stringify(settings);
             await this.writeFile("settings.toml", contents);
         } else {
-            this.errorMsg("Connect to the CIRCUITPY drive or the REPL first");
+            this.errorMsg(this.t("error.notConnectedToCircuitpy"));
             return null;
         }
     }
@@ -1979,7 +4027,7 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         } else if (this.circuitpyDriveHandle) {
             fileContents = await this.readFile("settings.toml");
         } else {
-            this.errorMsg("Connect to the CIRCUITPY drive or the REPL first");
+            this.errorMsg(this.t("error.notConnectedToCircuitpy"));
             return {};
         }
 
@@ -1995,10 +4043,10 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         if (this.writer) {
             const encMessage = encoder.encode(msg);
             await this.writer.ready.catch((err) => {
-                this.errorMsg(`Ready error: ${err}`);
+                this.errorMsg(this.t("error.serialWrite", {error: err}));
             });
             await this.writer.write(encMessage).catch((err) => {
-                this.errorMsg(`Chunk error: ${err}`);
+                this.errorMsg(this.t("error.serialWrite", {error: err}));
             });
             await this.writer.ready;
         }
@@ -2031,6 +4079,32 @@ CIRCUITPY_WEB_API_PORT = 80</pre>
         this.logMsg("Read Loop Stopped. Closing Serial Port.");
     }
 
+    // What we know about the install that just finished, for install-complete
+    getInstallResult(deviceHostInfo = {}) {
+        const deviceInfo = this.currentFlow && this.currentFlow.deviceInfo;
+        return {
+            board: this.selectedBoardId || null,
+            chip: deviceInfo ? deviceInfo.chipName : this.chipFamily,
+            mac: deviceInfo ? deviceInfo.mac : null,
+            version: deviceHostInfo.version || this.releaseVersion || null,
+            ip: deviceHostInfo.ip || null,
+        };
+    }
+
+    // Once the board is back up, get its IP address and version over the
+    // REPL if we're connected to it
+    async waitForDeviceHostInfo() {
+        if (!this.repl) {
+            return {};
+        }
+        await this.repl.waitForPrompt();
+        // If we were setting up Web Workflow, we may want to provide a link to code.circuitpython.org
+        if (this.currentFlow && this.currentFlow.has("stepCredentials")) {
+            return await this.getDeviceHostInfo();
+        }
+        return {};
+    }
+
     async getDeviceHostInfo() {
         // For now return info from title
         if (this.repl) {